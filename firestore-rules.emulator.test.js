@@ -0,0 +1,144 @@
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { FieldPath, deleteDoc, doc, getDoc, setDoc, updateDoc } from "firebase/firestore";
+
+// firestore.rules against the Firestore emulator (npm run test:rules)
+
+const ALICE = { email: "alice@example.com", email_verified: true };
+const BOB = { email: "bob@example.com", email_verified: true };
+const CAROL = { email: "carol@example.com", email_verified: true };
+
+const project = (extra = {}) => ({ id: "p", name: "Song", priority: 2, color: "#7c3aed", order: 0, tasks: { t: { id: "t", title: "Mix", done: false, pos: 0 } }, ...extra });
+const sharedProject = (extra = {}) => project({
+  ownerUid: "alice",
+  roles: { "alice@example.com": "owner", "bob@example.com": "editor", "carol@example.com": "viewer" },
+  memberEmails: ["alice@example.com", "bob@example.com", "carol@example.com"],
+  ...extra,
+});
+
+let env;
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({ projectId: "demo-beatbricks", firestore: { rules: readFileSync("firestore.rules", "utf8") } });
+});
+afterAll(() => env?.cleanup());
+beforeEach(() => env.clearFirestore());
+
+const as = (uid, token) => env.authenticatedContext(uid, token).firestore();
+const seed = (path, data) => env.withSecurityRulesDisabled(ctx => setDoc(doc(ctx.firestore(), path), data));
+
+describe("users/{uid}/projects", () => {
+  const path = "users/alice/projects/p";
+
+  it("lets the owner create, read, update and delete", async () => {
+    const db = as("alice", ALICE);
+    await assertSucceeds(setDoc(doc(db, path), project()));
+    await assertSucceeds(getDoc(doc(db, path)));
+    await assertSucceeds(updateDoc(doc(db, path), "tasks.t.done", true));
+    await assertSucceeds(deleteDoc(doc(db, path)));
+  });
+
+  it("keeps everyone else out", async () => {
+    await seed(path, project());
+    await assertFails(getDoc(doc(as("bob", BOB), path)));
+    await assertFails(updateDoc(doc(as("bob", BOB), path), { name: "Mine now" }));
+    await assertFails(deleteDoc(doc(as("bob", BOB), path)));
+    await assertFails(setDoc(doc(as("bob", BOB), "users/alice/projects/q"), project({ id: "q" })));
+    await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), path)));
+  });
+
+  it("checks the project shape", async () => {
+    const db = as("alice", ALICE);
+    const write = (extra) => setDoc(doc(db, path), project(extra));
+    await assertFails(write({ priority: 4 }));
+    await assertFails(write({ priority: -1 }));
+    await assertFails(write({ priority: "high" }));
+    await assertFails(write({ tasks: "Mix" }));
+    await assertFails(write({ color: "red" }));
+    await assertFails(write({ accent: "#zzzzzz" }));
+    await assertFails(write({ name: 5 }));
+    await assertFails(write({ id: "other" }));
+    await assertFails(write({ releaseDate: "June" }));
+    await assertFails(write({ activity: Array.from({ length: 501 }, (_, i) => ({ id: String(i) })) }));
+    await assertSucceeds(write({ activity: Array.from({ length: 300 }, (_, i) => ({ id: String(i) })) }));
+    await assertSucceeds(write({ priority: 0, color: "#abc", accent: "#00000000" }));
+    await assertSucceeds(write({ tasks: [{ id: "t", title: "Mix", done: false }] })); // docs from before the task map
+  });
+
+  it("checks the shape on updates too", async () => {
+    await seed(path, project());
+    const db = as("alice", ALICE);
+    await assertFails(updateDoc(doc(db, path), { priority: 7 }));
+    await assertFails(updateDoc(doc(db, path), { color: "blue" }));
+    await assertSucceeds(updateDoc(doc(db, path), { priority: 3, color: "#10b981" }));
+  });
+});
+
+describe("per-user collections", () => {
+  it("keeps templates, groups and saved views private and well-formed", async () => {
+    const alice = as("alice", ALICE), bob = as("bob", BOB);
+    const docs = {
+      "users/alice/templates/x": { id: "x", name: "Single", tasks: ["Mix"] },
+      "users/alice/groups/x": { id: "x", name: "Album X", trackIds: [] },
+      "users/alice/filters/x": { id: "x", name: "Todo", query: "is:todo" },
+    };
+    for (const [path, data] of Object.entries(docs)) {
+      await assertSucceeds(setDoc(doc(alice, path), data));
+      await assertFails(getDoc(doc(bob, path)));
+      await assertFails(setDoc(doc(bob, path), data));
+      await assertFails(setDoc(doc(alice, path), { ...data, id: "y" }));
+      await assertFails(setDoc(doc(alice, path), { ...data, name: 5 }));
+    }
+  });
+});
+
+describe("sharedProjects", () => {
+  const path = "sharedProjects/p";
+
+  it("lets an owner share a project with the members listed in its roles", async () => {
+    const db = as("alice", ALICE);
+    await assertSucceeds(setDoc(doc(db, path), sharedProject()));
+    await assertFails(setDoc(doc(db, "sharedProjects/q"), sharedProject({ id: "q", memberEmails: ["alice@example.com"] })));
+    await assertFails(setDoc(doc(db, "sharedProjects/r"), sharedProject({ id: "r", ownerUid: "bob" })));
+    await assertFails(setDoc(doc(as("bob", BOB), "sharedProjects/s"), sharedProject({ id: "s", ownerUid: "bob" })));
+  });
+
+  it("lets members read and keeps everyone else out", async () => {
+    await seed(path, sharedProject());
+    await assertSucceeds(getDoc(doc(as("alice", ALICE), path)));
+    await assertSucceeds(getDoc(doc(as("bob", BOB), path)));
+    await assertSucceeds(getDoc(doc(as("carol", CAROL), path)));
+    await assertFails(getDoc(doc(as("dave", { email: "dave@example.com", email_verified: true }), path)));
+  });
+
+  it("ignores members whose email isn't verified", async () => {
+    await seed(path, sharedProject());
+    await assertFails(getDoc(doc(as("bob2", { email: "bob@example.com", email_verified: false }), path)));
+    await assertFails(updateDoc(doc(as("bob2", { email: "bob@example.com" }), path), { name: "Remix" }));
+  });
+
+  it("lets editors change project fields but not membership", async () => {
+    await seed(path, sharedProject());
+    const bob = as("bob", BOB);
+    await assertSucceeds(updateDoc(doc(bob, path), { name: "Remix", "tasks.t.done": true }));
+    await assertFails(updateDoc(doc(bob, path), new FieldPath("roles", "bob@example.com"), "owner"));
+    await assertFails(updateDoc(doc(bob, path), { priority: 9 }));
+    await assertFails(deleteDoc(doc(bob, path)));
+  });
+
+  it("gives viewers read-only access", async () => {
+    await seed(path, sharedProject());
+    await assertFails(updateDoc(doc(as("carol", CAROL), path), { name: "Remix" }));
+    await assertFails(deleteDoc(doc(as("carol", CAROL), path)));
+  });
+
+  it("lets the owner manage members and delete", async () => {
+    await seed(path, sharedProject());
+    const alice = as("alice", ALICE);
+    const roles = { "alice@example.com": "owner", "bob@example.com": "viewer" };
+    await assertFails(updateDoc(doc(alice, path), { roles })); // memberEmails must follow
+    await assertSucceeds(updateDoc(doc(alice, path), { roles, memberEmails: Object.keys(roles) }));
+    await assertSucceeds(deleteDoc(doc(alice, path)));
+  });
+});
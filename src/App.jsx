@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { DndContext, PointerSensor, closestCenter, useSensor, useSensors } from "@dnd-kit/core";
-import { SortableContext, useSortable, rectSortingStrategy, arrayMove } from "@dnd-kit/sortable";
+import { DndContext, PointerSensor, closestCenter, useDroppable, useSensor, useSensors } from "@dnd-kit/core";
+import { SortableContext, useSortable, rectSortingStrategy, verticalListSortingStrategy, arrayMove } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import confetti from "canvas-confetti";
 import "./index.css";
@@ -8,12 +8,39 @@ import "./index.css";
 // COMPONENTS
 import GamifiedProgress from "./components/GamifiedProgress";
 import PixelHouse from "./components/PixelHouse";
+import TrashBin from "./components/TrashBin";
+import ActivityTimeline from "./components/ActivityTimeline";
+import ImportPreview from "./components/ImportPreview";
+import ExportDialog from "./components/ExportDialog";
+import ShareDialog from "./components/ShareDialog";
+import SyncStatus from "./components/SyncStatus";
+import TemplateManager from "./components/TemplateManager";
+import BulkActionBar from "./components/BulkActionBar";
+import KanbanBoard from "./components/KanbanBoard";
+import TimelineView from "./components/TimelineView";
+import ConflictBanner from "./components/ConflictBanner";
+import GroupPage from "./components/GroupPage";
+import StatsView from "./components/StatsView";
+import SearchBox from "./components/SearchBox";
 
 
 // AUTH
-import { auth, db, provider } from "./lib/firebase";
+import { auth, db, provider, persistence } from "./lib/firebase";
 import { onAuthStateChanged, signInWithPopup, signOut } from "firebase/auth";
-import { collection, doc, onSnapshot, setDoc, updateDoc, deleteDoc, serverTimestamp, query, orderBy } from "firebase/firestore";
+import { createFirestoreRepository, createMemoryRepository } from "./lib/projectRepository";
+import { createFirestoreCollectionRepository, createMemoryCollectionRepository } from "./lib/collectionRepository";
+import { projectFromTemplate, applyTemplate as withTemplateTasks, readTemplates, shownTemplates, seededWrites } from "./lib/templates";
+import { nextOrder, orderBetween, planMove } from "./lib/order";
+import { ACTIVITY_KEEP, makeEntry, stampTasks, diffActivity, nextActivity } from "./lib/activity";
+import { SCHEMA_VERSION, migrateProject } from "./lib/migrations";
+import { parseImport, planImport, resolveImport } from "./lib/importer";
+import { isShared, projectRole, canEdit, stripSharing, withMember, normalizeEmail, sharingOf } from "./lib/sharing";
+import { dirtyFields, dirtyPatch, rebaseDraft } from "./lib/draftMerge";
+import { dueState, nextDeadline, releaseLabel } from "./lib/dates";
+import { STAGES, projectStage, moveToStage, stageFromDropId } from "./lib/stages";
+import { blankGroup, groupKey, groupRepairs, tracklist } from "./lib/groups";
+import { parseQuery, matchesQuery, queryHighlights, splitMatches } from "./lib/query";
+import { subtaskCount, taskWeight, weightedProgress, syncParent, setTaskDone, toggleSubtask as flipSubtask } from "./lib/tasks";
 
 
 
@@ -29,16 +56,28 @@ function pruneUndefined(obj) {
 }
 
 const STORAGE_KEY = "beatbricks.v2";
-const SUGGESTED = ["Draft","Write lyrics","Polish lyrics","Record vocals","Mix","Master"]; 
+const TEMPLATES_KEY = "beatbricks.templates"; // guest templates (signed in: users/{uid}/templates)
+const GROUPS_KEY = "beatbricks.groups"; // guest project groups (signed in: users/{uid}/groups)
+const FILTERS_KEY = "beatbricks.filters"; // guest saved views (signed in: users/{uid}/filters)
 const COLORS = ["#7c3aed","#10b981","#f59e0b","#ef4444","#06b6d4","#22c55e","#eab308","#f97316"]; 
 const EMOJIS = ["🎧","🎵","🎶","🎤","🎛️","🚀","✨","🔥","⭐","🧠","📝","🎯","🌈","💎","💡"]; 
 const uid = () => Math.random().toString(36).slice(2,9);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_SNAPSHOT = { fromCache: true, pendingIds: [] }; // sync state before a repository's first snapshot
+const TRASH_RETENTION_DAYS = 30; // default; the Trash view can change it
+const TRASH_DAYS_KEY = "beatbricks.trashDays";
+const VIEW_KEY = "beatbricks.view"; // "grid" | "kanban" | "timeline" | "stats"
 
 function load() { try { const j = localStorage.getItem(STORAGE_KEY); return j ? JSON.parse(j) : null; } catch { return null; } }
 function save(data) { try { localStorage.setItem(STORAGE_KEY, JSON.stringify(data)); } catch {} }
+function loadTemplates() { try { return JSON.parse(localStorage.getItem(TEMPLATES_KEY)) || []; } catch { return []; } }
+function loadGroups() { try { return JSON.parse(localStorage.getItem(GROUPS_KEY)) || []; } catch { return []; } }
+function loadFilters() { try { return JSON.parse(localStorage.getItem(FILTERS_KEY)) || []; } catch { return []; } }
 
-function calcProjectProgress(p){ const t=p.tasks?.length||0; const d=p.tasks?.filter(x=>x.done).length||0; return t?Math.round((d*100)/t):0; }
-function calcXP(projects){ const done=projects.flatMap(p=>p.tasks||[]).filter(t=>t.done).length; const xp=done*10; const level=Math.floor(xp/100)+1; return {xp,level,pct:xp%100}; }
+// weighted by effort, subtasks count fractionally (lib/tasks.js)
+function calcProjectProgress(p){ return weightedProgress(p.tasks); }
+// 10 XP per point of effort on done tasks (unweighted tasks are 1 point)
+function calcXP(projects){ const xp=projects.flatMap(p=>p.tasks||[]).filter(t=>t.done).reduce((s,t)=>s+10*taskWeight(t),0); const level=Math.floor(xp/100)+1; return {xp,level,pct:xp%100}; }
 
 // --- Utilities: color + clipboard-safe path open ---
 function shadeColor(hex, amt){ try{ const h=hex.replace('#',''); const v=parseInt(h.length===3?h.split('').map(c=>c+c).join(''):h,16); let r=(v>>16)&255,g=(v>>8)&255,b=v&255; r=Math.min(255,Math.max(0,r+Math.round(2.55*amt))); g=Math.min(255,Math.max(0,g+Math.round(2.55*amt))); b=Math.min(255,Math.max(0,b+Math.round(2.55*amt))); return '#'+[r,g,b].map(x=>x.toString(16).padStart(2,'0')).join(''); }catch{return hex;} }
@@ -94,131 +133,529 @@ function useAppState(){
 }
 */
 
-function useFirebaseState() {
-  const [user, setUser] = useState(null);
-  const [projects, setProjects] = useState([]);
+// fields every new project starts with (id + timestamps are added by the backend)
+function blankProject(){
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    name: "New project",
+    type: "", note: "",
+    emoji: "🎧",
+    color: "#7c3aed",
+    accent: "#00000000", // transparent by default
+    label: "",           // optional tag (shown if present)
+    group: "",           // optional “project group” (name of groupId, lib/groups.js)
+    groupId: null,
+    priority: 2,         // 0 None, 1 Low, 2 Med, 3 High
+    releaseDate: null,   // "YYYY-MM-DD" (lib/dates.js)
+    //path: "",
+    links: [],
+    tasks: [],
+    activity: [],
+    deletedAt: null,
+  };
+}
+
+// guests work on a localStorage board until they sign in
+const GUEST = { uid: "guest", email: "Guest (this browser only)", isGuest: true };
 
-  // auth state
+function useAuthUser() {
+  const [user, setUser] = useState(null);
   useEffect(() => onAuthStateChanged(auth, setUser), []);
+  return user;
+}
 
-  // live projects
+// browser connectivity (navigator.onLine + online/offline events)
+function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
   useEffect(() => {
-    if (!user) { setProjects([]); return; }
-    const q = query(collection(db, `users/${user.uid}/projects`), orderBy("order","asc"));
-    return onSnapshot(q, snap => setProjects(snap.docs.map(d => d.data())));
-  }, [user]);
+    const up = () => setOnline(true), down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
+  }, []);
+  return online;
+}
 
-  // --- CRUD (each function is top-level; none are nested inside another) ---
+// offline cache outcome from lib/firebase ("enabled" | "other-tab" | "unsupported" | "error")
+function usePersistence() {
+  const [state, setState] = useState(null);
+  useEffect(() => { persistence.then(setState); }, []);
+  return state;
+}
 
-  // ✅ FIX: NEW PROJECT GETS AN ORDER INDEX; PRIORITY STAYS (0–3)
-  const addProject = useCallback(async () => {
-    if (!user) return;
-    const p = {
-      id: crypto.randomUUID(),
-      name: "New project",
-      type: "", note: "",
-      emoji: "🎧",
-      color: "#7c3aed",
-      accent: "#00000000", // transparent by default
-      label: "",           // optional tag (shown if present)
-      group: "",           // optional “project group”
-      priority: 2,            // 0 None, 1 Low, 2 Med, 3 High
-      order: projects.length, // 👈 used for manual sort
-      //path: "",
-      links: [],
-      tasks: [],
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    };
-    await setDoc(doc(db, `users/${user.uid}/projects/${p.id}`), p);
-  }, [user, projects.length]);
+// --- Undo / redo: entries are { label, undo(), redo() }; cleared when the board (repo) changes ---
+const HISTORY_LIMIT = 50;
+
+function useUndoHistory(resetKey) {
+  const stacks = useRef({ past: [], future: [] });
+  const [, rerender] = useState(0);
+  useEffect(() => { stacks.current = { past: [], future: [] }; rerender(n => n + 1); }, [resetKey]);
+
+  const record = useCallback((entry) => {
+    stacks.current = { past: [...stacks.current.past, entry].slice(-HISTORY_LIMIT), future: [] };
+    rerender(n => n + 1);
+  }, []);
+
+  // step(from, to, run): pop from one stack, run it, push onto the other; resolves to the label
+  const step = useCallback(async (from, to, run) => {
+    const entry = stacks.current[from].at(-1);
+    if (!entry) return null;
+    stacks.current = { ...stacks.current, [from]: stacks.current[from].slice(0, -1), [to]: [...stacks.current[to], entry] };
+    rerender(n => n + 1);
+    await entry[run]();
+    return entry.label;
+  }, []);
+  const undo = useCallback(() => step("past", "future", "undo"), [step]);
+  const redo = useCallback(() => step("future", "past", "redo"), [step]);
+
+  return { record, undo, redo, canUndo: stacks.current.past.length > 0, canRedo: stacks.current.future.length > 0 };
+}
+
+// old values of the fields a patch is about to overwrite (missing → null)
+function revertPatch(project, patch) {
+  return Object.fromEntries(Object.keys(patch).map(k => [k, project?.[k] ?? null]));
+}
+
+// Board state on top of a project repository (see lib/projectRepository.js)
+function useProjects(repo, { trashRetentionDays = TRASH_RETENTION_DAYS, actor = null, email = null } = {}) {
+  const [all, setAll] = useState([]);
+  // latest values for callbacks that run later (undo/redo entries, async writes)
+  const allRef = useRef(all); allRef.current = all;
+  const actorRef = useRef(actor); actorRef.current = actor;
+
+  // sync metadata from the last snapshot: served from cache? which ids still have local writes queued?
+  // (counts as cached until the first snapshot, so nothing acts on a board that hasn't arrived)
+  const [sync, setSync] = useState(NO_SNAPSHOT);
+  // writes that were rejected (permissions, invalid data, ...): [{ id, label, message, run }]
+  const [failedWrites, setFailedWrites] = useState([]);
+
+  // live projects, upgraded to the current schema (trashed ones carry deletedAt and are kept apart)
+  useEffect(() => {
+    setAll([]);
+    setSync(NO_SNAPSHOT);
+    setFailedWrites([]);
+    if (!repo) return;
+    return repo.subscribe((list, meta) => {
+      setAll(list.map(migrateProject));
+      setSync(meta);
+    });
+  }, [repo]);
+  const projects = useMemo(() => all.filter(p => !p.deletedAt), [all]);
+  const history = useUndoHistory(repo);
+  const { record } = history;
+  const trash = useMemo(() => all.filter(p => p.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt), [all]);
+
+  // activity log: stamp task times and append history entries to whatever gets written
+  // (the log is only ever appended to, or cut back to its newest entries, see lib/activity.js);
+  // every write bumps updatedAt, which the importer compares against an export's (lib/importer.js)
+  const withActivity = useCallback((project, patch) => {
+    const { activity: _, ...rest } = patch;
+    const next = { ...("tasks" in rest ? { ...rest, tasks: stampTasks(project?.tasks, rest.tasks.map(syncParent)) } : rest), updatedAt: repo.now() };
+    const activity = nextActivity(project?.activity, diffActivity(project, next, { by: actorRef.current }), repo.append);
+    return activity === undefined ? next : { ...next, activity };
+  }, [repo]);
+
+  // auto-purge: trashed longer than the retention period → gone for good
+  useEffect(() => {
+    if (!repo) return;
+    const cutoff = Date.now() - trashRetentionDays * DAY_MS;
+    trash.filter(p => p.deletedAt < cutoff && projectRole(p, email) === "owner").forEach(p => repo.remove(p.id).catch(err => console.error("Failed to purge project", err)));
+  }, [repo, trash, trashRetentionDays, email]);
+
+  // run a write; on failure keep it around for a retry instead of losing it. Resolves to true on success.
+  const track = useCallback(async (label, run) => {
+    try {
+      await run();
+      return true;
+    } catch (err) {
+      console.error(`Failed: ${label}`, err);
+      setFailedWrites(list => [...list, { id: crypto.randomUUID(), label, message: err?.message || String(err), run }]);
+      return false;
+    }
+  }, []);
 
-  const cloneProject = useCallback(async (id) => {
-    if (!user) return;
-    const src = projects.find(p => p.id === id);
-    if (!src) return;
+  const retryWrite = useCallback(async (id) => {
+    const entry = failedWrites.find(w => w.id === id);
+    if (!entry) return;
+    setFailedWrites(list => list.filter(w => w.id !== id));
+    await track(entry.label, entry.run);
+  }, [failedWrites, track]);
 
-    // reset progress on clone (make all tasks undone). Change if you prefer to keep done state.
-    const tasks = (src.tasks || []).map(t => ({ ...t, done: false }));
+  const dismissWrite = useCallback((id) => setFailedWrites(list => list.filter(w => w.id !== id)), []);
 
-    const clone = {
-      ...src,
+  // --- CRUD (each function is top-level; none are nested inside another) ---
+
+  // ✅ FIX: NEW PROJECT GETS AN ORDER INDEX; PRIORITY STAYS (0–3)
+  const addProject = useCallback(async (template) => {
+    if (!repo) return;
+    const p = {
+      ...blankProject(),
+      ...(template ? projectFromTemplate(template) : {}),
       id: crypto.randomUUID(),
-      name: `${src.name} (copy)`,
-      order: projects.length,
-      accent: "#00000000", // transparent by default
-      label: "",           // optional tag (shown if present)
-      group: "",           // optional “project group”
-      tasks,
-      createdAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
+      order: nextOrder(all), // 👈 used for manual sort
+      activity: [makeEntry("created", {}, { by: actorRef.current })],
+      createdAt: repo.now(),
+      updatedAt: repo.now(),
     };
-
-    await setDoc(doc(db, `users/${user.uid}/projects/${clone.id}`), clone);
-  }, [user, projects]);
+    await repo.put(p);
+  }, [repo, all]);
+
+  // copies land right after their originals, all in one write
+  const cloneProjects = useCallback(async (ids) => {
+    if (!repo) return;
+    const board = all.slice();
+    const clones = [];
+    for (const id of ids) {
+      const src = projects.find(p => p.id === id);
+      if (!src) continue;
+      const at = src.order ?? 0;
+      const next = board.reduce((m, p) => (p.order ?? 0) > at && (m == null || p.order < m) ? p.order : m, null);
+
+      // reset progress on clone (make all tasks undone). Change if you prefer to keep done state.
+      const tasks = (src.tasks || []).map(t => setTaskDone({ ...t, doneAt: null, firstDoneAt: null }, false));
+
+      const clone = {
+        ...stripSharing(src), // a copy of a shared project lands on your own board
+        id: crypto.randomUUID(),
+        name: `${src.name} (copy)`,
+        // right after the original
+        order: orderBetween(at, next ?? undefined) ?? nextOrder(board),
+        accent: "#00000000", // transparent by default
+        label: "",           // optional tag (shown if present)
+        group: "",           // optional “project group”
+        groupId: null,
+        tasks,
+        activity: [makeEntry("created", { from: src.id }, { by: actorRef.current })],
+        createdAt: repo.now(),
+        updatedAt: repo.now(),
+      };
+      board.push(clone);
+      clones.push(clone);
+    }
+    if (!clones.length) return;
+    const label = clones.length === 1 ? `copied ${projects.find(p => p.id === ids[0])?.name}` : `copied ${clones.length} projects`;
+    if (!(await track(label, () => repo.putMany(clones)))) return;
+    record({ label, undo: () => Promise.all(clones.map(c => repo.remove(c.id))), redo: () => repo.putMany(clones) });
+  }, [repo, projects, all, record, track]);
+
+  const cloneProject = useCallback((id) => cloneProjects([id]), [cloneProjects]);
+
+  // field patches [{ id, patch }] in one write (logged against the latest state), plus any
+  // writes staged on another repository (lib/collectionRepository.js stage())
+  const writeLogged = useCallback((list, staged = []) => {
+    const logged = list.map(({ id, patch }) => ({ id, patch: withActivity(allRef.current.find(p => p.id === id), patch) }));
+    return logged.length === 1 && !staged.length ? repo.update(logged[0].id, logged[0].patch) : repo.updateMany(logged, staged);
+  }, [repo, withActivity]);
+
+  // ...remembering the old values for undo
+  const writePatches = useCallback(async (list, label) => {
+    // the activity log is append-only and sharing goes through shareProject, so neither is patched here
+    const clean = list.map(({ id, patch }) => { const { activity: _, ...rest } = stripSharing(patch); return { id, patch: rest }; });
+    const before = clean.map(({ id, patch }) => ({ id, patch: revertPatch(allRef.current.find(p => p.id === id), patch) }));
+    if (!(await track(label, () => writeLogged(clean)))) return;
+    record({ label, undo: () => writeLogged(before), redo: () => writeLogged(clean) });
+  }, [writeLogged, record, track]);
+
+  // bookkeeping writes (e.g. group links, see lib/groups.js): logged, but not undoable.
+  // `staged` writes go in the same batch (a group rename with its members). Resolves to true on success.
+  const repairProjects = useCallback(async (list, label, staged = []) => {
+    if (!repo || !(list.length || staged.length)) return true;
+    return track(label, () => writeLogged(list, staged));
+  }, [repo, track, writeLogged]);
+
+  const nameOf = useCallback((id) => all.find(p => p.id === id)?.name || "project", [all]);
 
   // ✅ FIX: SAFE MERGE PATCH INTO DOC (NO UNDEFINED)
-  const updateProject = useCallback(async (patch) => {
-    if (!user || !patch?.id) return;
+  const updateProject = useCallback(async (patch, label) => {
+    if (!repo || !patch?.id) return;
     const { id, ...rest } = patch;
     const clean = pruneUndefined(rest);
     if (!Object.keys(clean).length) return;
-    await updateDoc(doc(db, `users/${user.uid}/projects/${id}`), clean);
-  }, [user]);
+    await writePatches([{ id, patch: clean }], label || `edited ${nameOf(id)}`);
+  }, [repo, writePatches, nameOf]);
 
 
+  // several projects in one atomic write: [{ id, ...fields }]
+  const updateProjects = useCallback(async (patches, label) => {
+    if (!repo) return;
+    const list = patches.map(({ id, ...rest }) => ({ id, patch: pruneUndefined(rest) })).filter(x => x.id && Object.keys(x.patch).length);
+    if (list.length) await writePatches(list, label || `updated ${list.length} projects`);
+  }, [repo, writePatches]);
+
+  // soft delete: the project moves to the trash (deletedAt = ms) until restored or purged
   const deleteProject = useCallback(async (id) => {
-    if (!user) return;
-    await deleteDoc(doc(db, `users/${user.uid}/projects/${id}`));
-  }, [user]);
+    if (!repo) return;
+    await writePatches([{ id, patch: { deletedAt: Date.now() } }], `deleted ${nameOf(id)}`);
+  }, [repo, writePatches, nameOf]);
+
+  const deleteProjects = useCallback(async (ids) => {
+    if (!repo || !ids.length) return;
+    const at = Date.now();
+    await writePatches(ids.map(id => ({ id, patch: { deletedAt: at } })), ids.length === 1 ? `deleted ${nameOf(ids[0])}` : `deleted ${ids.length} projects`);
+  }, [repo, writePatches, nameOf]);
+
+  const restoreProject = useCallback(async (id) => {
+    if (!repo) return;
+    await writePatches([{ id, patch: { deletedAt: null } }], `restored ${nameOf(id)}`);
+  }, [repo, writePatches, nameOf]);
+
+  // delete for good; the trash only offers it to the owner, as firestore.rules require
+  const purgeProject = useCallback(async (id) => {
+    if (!repo) return;
+    await track(`purged ${nameOf(id)}`, () => repo.remove(id));
+  }, [repo, track, nameOf]);
+
+  // tasks / links: always computed from the latest stored copy (not our snapshot in state);
+  // the repository writes only the task fields that changed, so quick double clicks, other
+  // tabs and other clients don't overwrite each other, online or offline
+  const mutateProject = useCallback(async (pid, fn, label = `edited ${nameOf(pid)}`) => {
+    if (!repo) return false;
+    return track(label, () => repo.mutate(pid, raw => { const p = migrateProject(raw); const patch = fn(p); return patch && withActivity(p, patch); }));
+  }, [repo, withActivity, track, nameOf]);
+
+  // the same across projects, in one write: fn(latest copies) → [{ id, patch }] (or null)
+  const mutateProjects = useCallback(async (ids, fn, label) => {
+    if (!repo) return false;
+    return track(label, () => repo.mutateMany(ids, raws => {
+      const list = raws.map(migrateProject);
+      return fn(list)?.map(({ id, patch }) => ({ id, patch: withActivity(list.find(p => p.id === id), patch) }));
+    }));
+  }, [repo, withActivity, track]);
 
-  // tasks / links
   const toggleTask = useCallback(async (pid, tid) => {
-    const p = projects.find(x => x.id === pid); if (!p) return;
-    const tasks = (p.tasks || []).map(t => t.id === tid ? { ...t, done: !t.done } : t);
-    await updateProject({ id: pid, tasks });
-  }, [projects, updateProject]);
+    const p = all.find(x => x.id === pid);
+    const title = p?.tasks?.find(t => t.id === tid)?.title || "task";
+    const flip = () => mutateProject(pid, p => ({ tasks: p.tasks.map(t => t.id === tid ? setTaskDone(t, !t.done) : t) }), `toggled '${title}'`);
+    if (!(await flip())) return;
+    // undoing a toggle is toggling again, so it stays safe against other tabs
+    record({ label: `toggled '${title}' on ${p?.name || "project"}`, undo: flip, redo: flip });
+  }, [mutateProject, all, record]);
 
   const addTask = useCallback(async (pid, title) => {
-    const p = projects.find(x => x.id === pid); if (!p) return;
-    const tasks = [...(p.tasks || []), { id: crypto.randomUUID(), title, done: false }];
-    await updateProject({ id: pid, tasks });
-  }, [projects, updateProject]);
+    await mutateProject(pid, p => ({ tasks: [...p.tasks, { id: crypto.randomUUID(), title, done: false, dueDate: null, effort: null, subtasks: [] }] }), `added '${title}'`);
+  }, [mutateProject]);
+
+  // the same template on several projects in one write (from the latest copies);
+  // undo takes back just the tasks it added
+  const applyTemplateMany = useCallback(async (ids, template) => {
+    const label = `applied ${template.name} to ${ids.length} projects`;
+    let added = new Set();
+    const apply = (list) => list.map(p => {
+      const tasks = withTemplateTasks(p.tasks, template);
+      tasks.slice(p.tasks.length).forEach(t => added.add(t.id));
+      return { id: p.id, patch: { tasks } };
+    }).filter(({ patch }, i) => patch.tasks.length > list[i].tasks.length);
+    const run = () => { added = new Set(); return mutateProjects(ids, apply, label); };
+    if (!(await run())) return;
+    record({ label, undo: () => mutateProjects(ids, list => list.map(p => ({ id: p.id, patch: { tasks: p.tasks.filter(t => !added.has(t.id)) } })), label), redo: run });
+  }, [mutateProjects, record]);
+
+  // drag-and-drop in the editor: put task `tid` where `overId` is (computed on the latest copy)
+  const reorderTasks = useCallback(async (pid, tid, overId) => {
+    const before = all.find(x => x.id === pid)?.tasks?.map(t => t.id) || [];
+    if (!before.includes(tid) || !before.includes(overId)) return;
+    const after = arrayMove(before, before.indexOf(tid), before.indexOf(overId));
+    // undo/redo restore an id order; tasks added since then stay at the end
+    const byIds = (ids) => (p) => ({ tasks: [...ids.map(id => p.tasks.find(t => t.id === id)).filter(Boolean), ...p.tasks.filter(t => !ids.includes(t.id))] });
+    const move = (p) => {
+      const from = p.tasks.findIndex(t => t.id === tid), to = p.tasks.findIndex(t => t.id === overId);
+      return from < 0 || to < 0 || from === to ? null : { tasks: arrayMove(p.tasks, from, to) };
+    };
+    if (!(await mutateProject(pid, move, `reordered tasks in ${nameOf(pid)}`))) return;
+    record({ label: `reordered tasks in ${nameOf(pid)}`, undo: () => mutateProject(pid, byIds(before)), redo: () => mutateProject(pid, byIds(after)) });
+  }, [all, mutateProject, nameOf, record]);
+
+  // a task (with its subtasks and dates) leaves one project and lands at the end of another, in one write
+  // (computed on the latest copies, so other task changes on either project are kept)
+  const moveTask = useCallback(async (fromId, tid, toId) => {
+    const from = allRef.current.find(p => p.id === fromId), to = allRef.current.find(p => p.id === toId);
+    const task = from?.tasks?.find(t => t.id === tid);
+    if (!task || !to || fromId === toId) return;
+    const move = (a, b, at) => (list) => {
+      const src = list.find(p => p.id === a), dst = list.find(p => p.id === b);
+      const t = src?.tasks.find(x => x.id === tid);
+      if (!t || !dst) return null;
+      const tasks = dst.tasks.filter(x => x.id !== tid);
+      tasks.splice(at ?? tasks.length, 0, t);
+      return [{ id: a, patch: { tasks: src.tasks.filter(x => x.id !== tid) } }, { id: b, patch: { tasks } }];
+    };
+    const label = `moved '${task.title}' to ${to.name}`;
+    if (!(await mutateProjects([fromId, toId], move(fromId, toId), label))) return;
+    // undo puts it back where it was
+    const home = from.tasks.indexOf(task);
+    record({ label, undo: () => mutateProjects([fromId, toId], move(toId, fromId, home), label), redo: () => mutateProjects([fromId, toId], move(fromId, toId), label) });
+  }, [mutateProjects, record]);
+
+  // kanban drop: earlier pipeline tasks get checked off (lib/stages.js), on the latest copy;
+  // undo restores the stage and just the tasks the move checked
+  const setStage = useCallback(async (pid, stage) => {
+    const label = `moved ${nameOf(pid)} to ${stage}`;
+    let before = null, checked = new Map();
+    const ok = await mutateProject(pid, p => {
+      const patch = moveToStage(p, stage);
+      before = p.stage ?? null;
+      checked = new Map(p.tasks.filter(t => patch.tasks?.some(x => x.id === t.id && x.done && !t.done)).map(t => [t.id, t]));
+      return patch;
+    }, label);
+    if (!ok) return;
+    const undo = () => mutateProject(pid, p => ({
+      stage: before,
+      tasks: p.tasks.map(t => checked.has(t.id) ? { ...t, done: checked.get(t.id).done, subtasks: checked.get(t.id).subtasks } : t),
+    }), label);
+    record({ label, undo, redo: () => mutateProject(pid, p => moveToStage(p, stage), label) });
+  }, [mutateProject, nameOf, record]);
+
+  // subtasks: the parent's done flag follows them (lib/tasks.js)
+  const toggleSubtask = useCallback(async (pid, tid, sid) => {
+    const flip = () => mutateProject(pid, p => ({ tasks: p.tasks.map(t => t.id === tid ? flipSubtask(t, sid) : t) }), "toggled a step");
+    if (!(await flip())) return;
+    const t = all.find(x => x.id === pid)?.tasks?.find(x => x.id === tid);
+    record({ label: `toggled '${t?.subtasks?.find(s => s.id === sid)?.title || "step"}' in ${t?.title || "task"}`, undo: flip, redo: flip });
+  }, [mutateProject, all, record]);
+
+  const addSubtask = useCallback(async (pid, tid, title) => {
+    await mutateProject(pid, p => ({ tasks: p.tasks.map(t => t.id === tid ? { ...t, done: false, subtasks: [...(t.subtasks || []), { id: crypto.randomUUID(), title, done: false }] } : t) }), `added step '${title}'`);
+  }, [mutateProject]);
 
   // ✅ FIX: ONLY PATCH THE TASKS ARRAY; NOTHING ELSE CHANGES
-  const addSuggested = useCallback(async (pid) => {
-    const p = projects.find(x => x.id === pid); 
-    if (!p) return;
-    const tasks = [...(p.tasks || [])];
-    SUGGESTED.forEach(st => {
-      if (!tasks.some(t => t.title.toLowerCase() === st.toLowerCase())) {
-        tasks.push({ id: crypto.randomUUID(), title: st, done: false });
-      }
-    });
-    await updateProject({ id: pid, tasks }); // 👈 only tasks field gets updated
-  }, [projects, updateProject]);
+  // template tasks the project doesn't have yet (same title) go to the end
+  const applyTemplate = useCallback(async (pid, template) => {
+    await mutateProject(pid, p => ({ tasks: withTemplateTasks(p.tasks, template) }), `applied ${template.name} to ${nameOf(pid)}`);
+  }, [mutateProject, nameOf]);
 
 
   const addLink = useCallback(async (pid) => {
-    const p = projects.find(x => x.id === pid); if (!p) return;
-    const links = [...(p.links || []), { label: "Link", url: "https://" }];
-    await updateProject({ id: pid, links });
-  }, [projects, updateProject]);
+    await mutateProject(pid, p => ({ links: [...p.links, { label: "Link", url: "https://" }] }));
+  }, [mutateProject]);
 
   const changeColor = useCallback(async (pid) => {
-    const p = projects.find(x => x.id === pid); if (!p) return;
-    const COLORS = ["#7c3aed","#10b981","#f59e0b","#ef4444","#06b6d4","#22c55e","#eab308","#f97316"];
-    await updateProject({ id: pid, color: COLORS[(Math.random()*COLORS.length)|0] });
-  }, [projects, updateProject]);
+    await updateProject({ id: pid, color: COLORS[(Math.random()*COLORS.length)|0] }, `changed color of ${nameOf(pid)}`);
+  }, [updateProject, nameOf]);
+
+  // --- sharing (signed-in only; see lib/sharing.js) ---
+  const shareProject = useCallback(async (id, invitee, role) => {
+    if (!repo) return;
+    const p = all.find(x => x.id === id); if (!p) return;
+    if (!isShared(p)) await repo.share(id, withMember({ [normalizeEmail(email)]: "owner" }, invitee, role));
+    else await repo.mutate(id, cur => { const roles = withMember(cur.roles, invitee, role); return { roles, memberEmails: Object.keys(roles) }; });
+  }, [repo, all, email]);
+
+  const setMemberRole = useCallback(async (id, member, role) => {
+    if (!repo) return;
+    await repo.mutate(id, cur => { const roles = withMember(cur.roles || {}, member, role); return { roles, memberEmails: Object.keys(roles) }; });
+  }, [repo]);
+
+  const unshareProject = useCallback(async (id) => {
+    if (!repo) return;
+    await repo.share(id, null);
+  }, [repo]);
+
+  const roleOf = useCallback((p) => projectRole(p, email), [email]);
+
+  // bulk write (one batch, with any `staged` collection writes) used by the JSON import and the
+  // guest → account migration; projects already on the board keep their place and sharing, new ones
+  // go to the end as personal projects (an export's roles/ownerUid would send them to sharedProjects)
+  const importProjects = useCallback(async (list, { skipExisting = false, staged = [] } = {}) => {
+    if (!repo) return 0;
+    const existing = new Map(all.map(p => [p.id, p]));
+    let next = nextOrder(all);
+    const batch = list
+      .map(raw => { const p = stripSharing(migrateProject(raw)); return { ...p, id: p.id || crypto.randomUUID() }; })
+      .filter(p => !(skipExisting && existing.has(p.id)))
+      .map(p => ({ ...p, ...sharingOf(existing.get(p.id)), order: existing.has(p.id) ? existing.get(p.id).order : next++, activity: p.activity.slice(-ACTIVITY_KEEP), createdAt: p.createdAt ?? repo.now(), updatedAt: repo.now() }));
+    if (batch.length || staged.length) await repo.putMany(batch, staged);
+    return batch.length;
+  }, [repo, all]);
 
   return {
-    user, projects,
-    addProject, cloneProject, updateProject, deleteProject,
-    toggleTask, addTask, addSuggested, addLink, changeColor,
+    projects, trash,
+    addProject, cloneProject, updateProject, updateProjects, deleteProject, restoreProject, purgeProject,
+    cloneProjects, deleteProjects, applyTemplateMany,
+    toggleTask, addTask, applyTemplate, addLink, changeColor,
+    toggleSubtask, addSubtask, reorderTasks, moveTask, setStage,
+    importProjects, repairProjects,
+    sync, failedWrites, retryWrite, dismissWrite,
+    shareProject, setMemberRole, unshareProject, roleOf,
+    undo: history.undo, redo: history.redo, canUndo: history.canUndo, canRedo: history.canRedo,
   };
 }
 
 
+// Workflow templates on top of a collection repository (lib/collectionRepository.js).
+// Until the user saves, deletes or imports one, the built-in DEFAULT_TEMPLATES are shown;
+// that first write stores the built-ins alongside it so none of them silently disappear
+// (lib/templates.js seededWrites).
+function useTemplates(repo) {
+  const [docs, setDocs] = useState([]);
+  useEffect(() => {
+    setDocs([]);
+    if (!repo) return;
+    return repo.subscribe(setDocs);
+  }, [repo]);
+  const stored = useMemo(() => readTemplates(docs), [docs]);
+  const templates = shownTemplates(stored);
+
+  const saveTemplate = useCallback(async (t) => {
+    if (!repo) return;
+    const writes = seededWrites(stored, [t]);
+    if (writes.length === 1) await repo.put(t);
+    else await repo.putMany(writes);
+  }, [repo, stored]);
+
+  const removeTemplate = useCallback(async (id) => {
+    if (!repo) return;
+    const writes = seededWrites(stored, [], [id]);
+    if (writes.length) await repo.putMany(writes);
+    if (stored.templates.some(t => t.id === id)) await repo.remove(id);
+  }, [repo, stored]);
+
+  // puts for imported templates, to commit with the imported projects (useProjects importProjects)
+  const stageTemplates = useCallback((list) => {
+    const incoming = list.filter(t => !t.seeded);
+    if (!repo || !incoming.length) return [];
+    return seededWrites(stored, incoming).map(t => repo.stage(t));
+  }, [repo, stored]);
+
+  return { templates, savedTemplates: stored.templates, saveTemplate, removeTemplate, stageTemplates };
+}
+
+// Project groups on top of a collection repository (lib/groups.js). `ready` once the
+// list comes from the server (not a cold offline cache), so repairs never act on a partial list.
+function useGroups(repo) {
+  const [state, setState] = useState({ groups: [], ready: false });
+  useEffect(() => {
+    setState({ groups: [], ready: false });
+    if (!repo) return;
+    return repo.subscribe((groups, meta) => setState({ groups, ready: !meta.fromCache }));
+  }, [repo]);
+
+  const saveGroup = useCallback(async (g) => { if (repo) await repo.put(g); }, [repo]);
+  const removeGroup = useCallback(async (id) => { if (repo) await repo.remove(id); }, [repo]);
+  // a save to commit together with project writes (useProjects repairProjects)
+  const stageGroup = useCallback((g) => repo.stage(g), [repo]);
+
+  return { ...state, saveGroup, removeGroup, stageGroup };
+}
+
+// Saved search filters ("views": { id, name, query }) on top of a collection repository
+function useSavedFilters(repo) {
+  const [filters, setFilters] = useState([]);
+  useEffect(() => {
+    setFilters([]);
+    if (!repo) return;
+    return repo.subscribe(setFilters);
+  }, [repo]);
+
+  const saveFilter = useCallback(async (name, query) => {
+    if (!repo) return;
+    const same = filters.find(f => f.name.toLowerCase() === name.toLowerCase()); // saving under an existing name updates it
+    await repo.put({ id: same?.id || crypto.randomUUID(), name, query });
+  }, [repo, filters]);
+  const removeFilter = useCallback(async (id) => { if (repo) await repo.remove(id); }, [repo]);
+
+  return { filters, saveFilter, removeFilter };
+}
+
 
 // --- DnD brick wrapper ---
 function SortableBrick({ id, span=1, children }){
@@ -231,22 +668,61 @@ function SortableBrick({ id, span=1, children }){
   );
 }
 
+// --- DnD task row (editor): only the ⠿ handle starts a drag, so the inputs stay usable ---
+function SortableTaskRow({ id, disabled, children }){
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id, disabled });
+  const style = { transform: CSS.Transform.toString(transform), transition };
+  return (
+    <div ref={setNodeRef} style={style} className={`flex items-start gap-1 ${isDragging?"relative z-10 opacity-80":""}`}>
+      <button type="button" {...attributes} {...listeners} disabled={disabled} title="Drag to reorder, or onto another project to move it" className="touch-none cursor-grab px-1 pt-2 text-slate-400 disabled:cursor-default">⠿</button>
+      <div className="flex-1 min-w-0">{children}</div>
+    </div>
+  );
+}
+
+// drop zone for moving a dragged task to another project
+function ProjectDropTarget({ project }){
+  const { setNodeRef, isOver } = useDroppable({ id: `project:${project.id}` });
+  return (
+    <div ref={setNodeRef} className={`px-2 py-1 rounded border text-sm truncate ${isOver?"bg-black text-white":"bg-white"}`}>
+      {project.emoji} {project.name}
+    </div>
+  );
+}
+
 // --- Brick card ---
-function Brick({ p, user, onOpen, onToggleTask, onDelete, onClone, onColor }){
+// search matches inside a brick: highlight = { [field]: [text] } from lib/query.js queryHighlights ("*" = everywhere)
+function Marked({ text, highlight, field }){
+  const needles = [...(highlight?.["*"] || []), ...(highlight?.[field] || [])];
+  return splitMatches(text, needles).map((s, i) => s.hit
+    ? <mark key={i} className="bg-yellow-300 text-black rounded-sm">{s.text}</mark>
+    : <React.Fragment key={i}>{s.text}</React.Fragment>);
+}
+
+function Brick({ p, user, readOnly, unsynced, selectMode, selected, onSelect, onOpen, onToggleTask, onDelete, onClone, onColor, highlight }){
   const progress = calcProjectProgress(p);
   const allDone = progress===100 && (p.tasks?.length>0);
   const celebrated = useRef(new Set());
   useEffect(()=>{ if(allDone && !celebrated.current.has(p.id)){ confetti({particleCount:120, spread:70, origin:{y:0.4}}); celebrated.current.add(p.id); } },[allDone, p.id]);
   const c1=p.color; const c2=shadeColor(p.color,-35);
   const stop=useCallback(e=>e.stopPropagation(),[]);
-  const visibleTasks = useMemo(()=>{ const undone=(p.tasks||[]).filter(t=>!t.done); const done=(p.tasks||[]).filter(t=>t.done); return [...undone,...done].slice(0,4); },[p.tasks]);
+  // open tasks first, dated ones by due date so overdue work isn't hidden; tasks matching the search before all of them
+  const visibleTasks = useMemo(()=>{
+    const undone=p.tasks.filter(t=>!t.done).sort((a,b)=>(a.dueDate||"9999").localeCompare(b.dueDate||"9999")); const done=p.tasks.filter(t=>t.done);
+    const needles=[...(highlight?.["*"]||[]), ...(highlight?.task||[])]; const hit=(t)=>needles.some(n=>t.title.toLowerCase().includes(n));
+    const ordered=[...undone,...done];
+    return [...ordered.filter(hit), ...ordered.filter(t=>!hit(t))].slice(0,4);
+  },[p.tasks, highlight]);
+  const release = releaseLabel(p.releaseDate);
+  // the group isn't on the card unless the search matched it
+  const groupHit = !!p.group && splitMatches(p.group, [...(highlight?.["*"]||[]), ...(highlight?.group||[])]).some(s=>s.hit);
   
 
 
   return (
     <div 
-      onClick={()=>onOpen(p.id)} 
-      className="relative aspect-square rounded-2xl shadow-lg text-white overflow-hidden cursor-pointer transition-transform hover:-translate-y-0.5 hover:shadow-2xl bg-slate-900"
+      onClick={(e)=>onOpen(p.id, e)} 
+      className={`relative aspect-square rounded-2xl shadow-lg text-white overflow-hidden cursor-pointer transition-transform hover:-translate-y-0.5 hover:shadow-2xl bg-slate-900 ${selected?"ring-4 ring-sky-400 ring-offset-2":""}`}
       style={{
         border: (p.accent && p.accent !==  "#00000000") ? `3px solid ${p.accent}` : undefined
       }}
@@ -257,9 +733,13 @@ function Brick({ p, user, onOpen, onToggleTask, onDelete, onClone, onColor }){
         "radial-gradient(circle at 80% 30%, #ffffff11 1px, transparent 1px),"+
         "radial-gradient(circle at 40% 80%, #ffffff22 2px, transparent 2px)"}}/>
 
+      {selectMode && (
+        <input type="checkbox" checked={!!selected} onChange={(e)=>onSelect(p.id, e.nativeEvent)} onClick={stop} className="absolute top-2 right-2 z-20 h-5 w-5 accent-sky-500" title="Select"/>
+      )}
+
       {p.label && (
-        <div className="absolute top-2 right-2 text-xs md:text-sm font-semibold px-3 py-1 rounded-full bg-black/50 backdrop-blur-sm border border-white/20 shadow">
-          {p.label}
+        <div className={`absolute top-2 ${selectMode?"right-9":"right-2"} text-xs md:text-sm font-semibold px-3 py-1 rounded-full bg-black/50 backdrop-blur-sm border border-white/20 shadow`}>
+          <Marked text={p.label} highlight={highlight} field="label" />
         </div>
       )}
 
@@ -277,17 +757,33 @@ function Brick({ p, user, onOpen, onToggleTask, onDelete, onClone, onColor }){
         {/* Header with space for title */}
         <div className="flex items-center gap-2 min-w-0">
           <span className="text-2xl">{p.emoji}</span>
-          <div className="font-semibold text-base truncate">{p.name}</div>
+          <div className="font-semibold text-base truncate"><Marked text={p.name} highlight={highlight} field="name" /></div>
         </div>
         <div className="mt-1 flex items-center gap-1 flex-wrap" onClick={stop}>
           <span className="text-[11px] px-2 py-0.5 rounded-full bg-black/30">
-            {["None","Low","Med","High"][Math.max(0, Math.min(3, p.priority ?? 0))]}
+            {["None","Low","Med","High"][p.priority]}
           </span>
-          <button disabled={!user} className="px-2 py-1 text-xs bg-white/15 hover:bg-white/25 rounded" onClick={(e)=>{e.stopPropagation(); onColor(p.id);}}>Color</button>
+          {isShared(p) && (
+            <span className="text-[11px] px-2 py-0.5 rounded-full bg-black/30" title={`Shared with ${p.memberEmails.length - 1} • you are ${readOnly ? "a viewer" : "an editor or owner"}`}>
+              👥{readOnly ? " view only" : ""}
+            </span>
+          )}
+          {release && !allDone && (
+            <span className={`text-[11px] px-2 py-0.5 rounded-full ${release.startsWith("Released") ? "bg-red-500/70" : "bg-black/30"}`} title={p.releaseDate}>
+              🚀 {release}
+            </span>
+          )}
+          {unsynced && (
+            <span className="text-[11px] px-2 py-0.5 rounded-full bg-amber-400/80 text-black" title="Saved on this device; waiting to reach the server">
+              ⟳ unsynced
+            </span>
+          )}
+          <button disabled={!user || readOnly} className="px-2 py-1 text-xs bg-white/15 hover:bg-white/25 rounded" onClick={(e)=>{e.stopPropagation(); onColor(p.id);}}>Color</button>
           <button disabled={!user} className="px-2 py-1 text-xs bg-white/15 hover:bg-white/25 rounded" onClick={(e)=>{e.stopPropagation(); onClone(p.id);}}>Copy</button>
-          <button disabled={!user} className="px-2 py-1 text-xs bg-white/15 hover:bg-white/25 rounded text-red-200" onClick={(e)=>{e.stopPropagation(); onDelete(p.id);}}>Del</button>
+          <button disabled={!user || readOnly} className="px-2 py-1 text-xs bg-white/15 hover:bg-white/25 rounded text-red-200" title="Move to trash" onClick={(e)=>{e.stopPropagation(); onDelete(p.id);}}>Del</button>
         </div>
-        <div className="text-xs text-white/80 mt-1 line-clamp-1">{p.type||"Project"}{p.note?` • ${p.note}`:""}</div>
+        <div className="text-xs text-white/80 mt-1 line-clamp-1"><Marked text={p.type||"Project"} highlight={highlight} field="type" />{p.note && <> • <Marked text={p.note} highlight={highlight} field="note" /></>}</div>
+        {groupHit && <div className="text-[11px] text-white/80 truncate">💿 <Marked text={p.group} highlight={highlight} field="group" /></div>}
 
         {/* Progress */}
         <div className="mt-2">
@@ -297,8 +793,8 @@ function Brick({ p, user, onOpen, onToggleTask, onDelete, onClone, onColor }){
 
         {/* Links + Path */}
         <div className="flex flex-wrap gap-2 mt-2" onClick={stop}>
-          {(p.links||[]).slice(0,3).map((lnk,i)=> (
-            <a key={lnk.url||i} href={lnk.url} target="_blank" rel="noreferrer" className="text-[11px] px-2 py-1 rounded-full bg-white/15 hover:bg-white/25 inline-flex items-center gap-1" onClick={stop}>🔗 {lnk.label||"Link"}</a>
+          {p.links.slice(0,3).map((lnk,i)=> (
+            <a key={lnk.url||i} href={lnk.url} target="_blank" rel="noreferrer" className="text-[11px] px-2 py-1 rounded-full bg-white/15 hover:bg-white/25 inline-flex items-center gap-1" onClick={stop}>🔗 <Marked text={lnk.label||"Link"} highlight={highlight} field="link" /></a>
           ))}
           {/* p.path && (
             <button className="text-[11px] px-2 py-1 rounded-full bg-white/15 hover:bg-white/25" onClick={(e)=>{e.stopPropagation(); tryOpenPath(p.path);}}>📁 Open</button>
@@ -308,9 +804,11 @@ function Brick({ p, user, onOpen, onToggleTask, onDelete, onClone, onColor }){
         {/* Tasks (undone first, highlighted) */}
         <div className="mt-2 grid grid-cols-2 gap-1" onClick={stop}>
           {visibleTasks.map(t=> (
-            <label key={t.id} className={`flex items-center gap-2 text-[11px] rounded px-2 py-1 ${t.done?"bg-white/10":"bg-amber-300/30 ring-1 ring-amber-200"}`}>
-              <input disabled={!user} type="checkbox" checked={t.done} onChange={()=>onToggleTask(p.id, t.id)} className={t.done?"accent-white":"accent-amber-500"}/>
-              <span className={`truncate ${t.done?"line-through opacity-70":"font-medium"}`}>{t.title}</span>
+            <label key={t.id} title={t.dueDate ? `Due ${t.dueDate}` : undefined} className={`flex items-center gap-2 text-[11px] rounded px-2 py-1 ${t.done?"bg-white/10":{overdue:"bg-red-500/60 ring-1 ring-red-200",soon:"bg-orange-400/50 ring-1 ring-orange-200"}[dueState(t)]||"bg-amber-300/30 ring-1 ring-amber-200"}`}>
+              <input disabled={!user || readOnly} type="checkbox" checked={t.done} onChange={()=>onToggleTask(p.id, t.id)} className={t.done?"accent-white":"accent-amber-500"}/>
+              <span className={`truncate ${t.done?"line-through opacity-70":"font-medium"}`}><Marked text={t.title} highlight={highlight} field="task" /></span>
+              {dueState(t)==="overdue" && <span className="shrink-0" title="Overdue">⏰</span>}
+              {t.subtasks?.length>0 && <span className="ml-auto shrink-0 opacity-80">{subtaskCount(t).done}/{subtaskCount(t).total}</span>}
             </label>
           ))}
         </div>
@@ -338,35 +836,99 @@ function Modal({ open, onClose, children }){
   );
 }
 
+// --- Kanban card: the compact brick for the pipeline view ---
+function KanbanCard({ p, selected, onOpen }){
+  const progress = calcProjectProgress(p);
+  const next = p.tasks.find(t=>!t.done);
+  const release = releaseLabel(p.releaseDate);
+  return (
+    <div onClick={(e)=>onOpen(p.id, e)} className={`rounded-lg bg-white shadow-sm border-l-4 p-2 cursor-pointer hover:shadow-md ${selected?"ring-2 ring-sky-400":""}`} style={{ borderLeftColor: p.color }}>
+      <div className="flex items-center gap-1 text-sm font-medium min-w-0"><span>{p.emoji}</span><span className="truncate">{p.name}</span></div>
+      {next && <div className={`text-xs truncate mt-0.5 ${dueState(next)==="overdue"?"text-red-600":"text-slate-500"}`}>Next: {next.title}</div>}
+      <div className="h-1.5 bg-slate-200 rounded mt-1.5 overflow-hidden"><div className="h-full bg-slate-700" style={{width:`${progress}%`}}/></div>
+      <div className="flex items-center justify-between mt-1 text-[11px] text-slate-500">
+        <span>{["None","Low","Med","High"][p.priority]}{p.stage ? " • pinned" : ""}</span>
+        {release && <span>🚀 {release}</span>}
+      </div>
+    </div>
+  );
+}
+
 // --- Project Editor (immutable updates) ---
-function ProjectEditor({ user, project, onClose, onSave, onDelete, onToggleTask, onAddTask, onAddSuggested, onAddLink }){
-  const [draft, setDraft] = useState(project);
-  useEffect(()=>setDraft(project),[project]);
-  if(!draft) return null;
-  const progress = calcProjectProgress(draft);
+// the draft is rebased onto every incoming copy (lib/draftMerge.js) instead of being replaced,
+// so snapshots (other tabs, task toggles from this editor) never throw away unsaved edits
+function ProjectEditor({ user, project, role = "owner", onClose, onDirtyChange, onSave, onDelete, onShare, onToggleTask, onToggleSubtask, onAddTask, onAddSubtask, onReorderTasks, onMoveTask, moveTargets = [], templates = [], groups = [], onApplyTemplate, onAddLink }){
+  const [edit, setEdit] = useState(() => ({ base: project, draft: project, conflicts: [] }));
+  useEffect(() => {
+    if (!project) return;
+    setEdit(e => {
+      if (e.base === project) return e;
+      const { draft, conflicts } = rebaseDraft(e.base, e.draft, project);
+      const dirty = dirtyFields(project, draft);
+      // earlier conflicts stay open until resolved (or until both sides agree)
+      return { base: project, draft, conflicts: [...new Set([...e.conflicts, ...conflicts])].filter(f => dirty.includes(f)) };
+    });
+  }, [project]);
+  const { base, draft, conflicts } = edit;
+  const setDraft = useCallback((fn) => setEdit(e => ({ ...e, draft: fn(e.draft) })), []);
+  const dirty = useMemo(() => dirtyFields(base, draft), [base, draft]);
+  const keepMine = useCallback((f) => setEdit(e => ({ ...e, conflicts: e.conflicts.filter(x => x !== f) })), []);
+  const takeTheirs = useCallback((f) => setEdit(e => ({ ...e, draft: { ...e.draft, [f]: e.base[f] }, conflicts: e.conflicts.filter(x => x !== f) })), []);
+
+  // let the parent ask before discarding edits; the browser asks on reload / tab close
+  useEffect(() => { onDirtyChange?.(dirty.length > 0); }, [dirty.length, onDirtyChange]);
+  useEffect(() => {
+    if (!dirty.length) return;
+    const warn = (e) => { e.preventDefault(); e.returnValue = ""; };
+    window.addEventListener("beforeunload", warn);
+    return () => window.removeEventListener("beforeunload", warn);
+  }, [dirty.length]);
+  useEffect(() => () => onDirtyChange?.(false), [onDirtyChange]);
+
   const set = (patch)=>setDraft(d=>({...d, ...patch}));
+  const readOnly = role === "viewer";
+
+  const updateTaskTitle = useCallback((id, title)=> setDraft(d=>({ ...d, tasks: d.tasks.map(t=> t.id===id ? { ...t, title } : t) })),[setDraft]);
+  const updateTaskEffort = useCallback((id, value)=> setDraft(d=>({ ...d, tasks: d.tasks.map(t=> t.id===id ? { ...t, effort: Number(value) > 0 ? Number(value) : null } : t) })),[setDraft]);
+  const updateTaskDue = useCallback((id, dueDate)=> setDraft(d=>({ ...d, tasks: d.tasks.map(t=> t.id===id ? { ...t, dueDate: dueDate || null } : t) })),[setDraft]);
+  const removeTask = useCallback((id)=> setDraft(d=>({ ...d, tasks: d.tasks.filter(t=> t.id!==id) })),[setDraft]);
+  const updateSubtask = useCallback((tid, sid, title)=> setDraft(d=>({ ...d, tasks: d.tasks.map(t=> t.id===tid ? { ...t, subtasks: t.subtasks.map(s=> s.id===sid ? { ...s, title } : s) } : t) })),[setDraft]);
+  const removeSubtask = useCallback((tid, sid)=> setDraft(d=>({ ...d, tasks: d.tasks.map(t=> t.id===tid ? { ...t, subtasks: t.subtasks.filter(s=> s.id!==sid) } : t) })),[setDraft]);
+  const updateLink = useCallback((idx, patch)=> setDraft(d=>({ ...d, links: d.links.map((l,i)=> i===idx ? { ...l, ...patch } : l) })),[setDraft]);
+  const removeLink = useCallback((idx)=> setDraft(d=>({ ...d, links: d.links.filter((_,i)=> i!==idx) })),[setDraft]);
+
+  const taskSensors = useSensors(useSensor(PointerSensor, { activationConstraint:{ distance:4 } }));
+  const onTaskDragEnd = useCallback(({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    if (String(over.id).startsWith("project:")) onMoveTask(project.id, active.id, String(over.id).slice("project:".length));
+    else onReorderTasks(project.id, active.id, over.id);
+  }, [project?.id, onMoveTask, onReorderTasks]);
 
-  const updateTaskTitle = useCallback((id, title)=> setDraft(d=>({ ...d, tasks: (d.tasks||[]).map(t=> t.id===id ? { ...t, title } : t) })),[]);
-  const removeTask = useCallback((id)=> setDraft(d=>({ ...d, tasks: (d.tasks||[]).filter(t=> t.id!==id) })),[]);
-  const updateLink = useCallback((idx, patch)=> setDraft(d=>({ ...d, links: (d.links||[]).map((l,i)=> i===idx ? { ...l, ...patch } : l) })),[]);
-  const removeLink = useCallback((idx)=> setDraft(d=>({ ...d, links: (d.links||[]).filter((_,i)=> i!==idx) })),[]);
+  if(!draft) return null;
+  const progress = calcProjectProgress(draft);
 
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between">
         <div className="flex items-center gap-2">
-          <input disabled={!user} value={draft.emoji} onChange={e=>set({emoji:e.target.value})} className="w-12 text-2xl text-center border rounded"/>
-          <input disabled={!user} value={draft.name} onChange={e=>set({name:e.target.value})} placeholder="Project name" className="px-3 py-2 border rounded w-[min(480px,60vw)]"/>
+          <input disabled={!user || readOnly} value={draft.emoji} onChange={e=>set({emoji:e.target.value})} className="w-12 text-2xl text-center border rounded"/>
+          <input disabled={!user || readOnly} value={draft.name} onChange={e=>set({name:e.target.value})} placeholder="Project name" className="px-3 py-2 border rounded w-[min(480px,60vw)]"/>
+          {isShared(project) && <span className="text-xs px-2 py-1 rounded-full bg-slate-200 text-slate-700">👥 Shared • {role}</span>}
         </div>
         <div className="space-x-2">
-          <button disabled={!user} onClick={()=>onDelete(draft.id)} className="px-3 py-2 rounded bg-red-600 text-white">Delete</button>
-          <button disabled={!user} onClick={()=>onSave(draft)} className="px-3 py-2 rounded bg-black text-white">Save</button>
+          {onShare && role === "owner" && <button disabled={!user} onClick={()=>onShare(draft.id)} className="px-3 py-2 rounded bg-slate-200">Share</button>}
+          {!readOnly && <button disabled={!user} onClick={()=>onDelete(draft.id)} title="Move to trash" className="px-3 py-2 rounded bg-red-600 text-white">Delete</button>}
+          {!readOnly && <button disabled={!user || conflicts.length > 0} title={conflicts.length ? "Resolve the conflicts first" : undefined} onClick={()=>onSave(dirtyPatch(base, draft))} className="px-3 py-2 rounded bg-black text-white disabled:opacity-50">Save{dirty.length ? " •" : ""}</button>}
           <button disabled={!user} onClick={onClose} className="px-3 py-2 rounded bg-slate-200">Close</button>
         </div>
       </div>
 
+      {conflicts.length > 0 && <ConflictBanner fields={conflicts} mine={draft} theirs={base} onKeepMine={keepMine} onTakeTheirs={takeTheirs} />}
+
+      <DndContext sensors={taskSensors} collisionDetection={closestCenter} onDragEnd={onTaskDragEnd}>
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-start">
-        <div className="md:col-span-2 space-y-4">
+        {/* viewers: every control below is disabled */}
+        <fieldset disabled={readOnly} className="md:col-span-2 space-y-4 min-w-0">
           <div className="bg-slate-50 rounded-xl p-3">
             <div className="grid grid-cols-2 gap-3">
               <div>
@@ -379,6 +941,18 @@ function ProjectEditor({ user, project, onClose, onSave, onDelete, onToggleTask,
                 <div className="text-sm mb-1">Type / Note</div>
                 <input value={draft.type||""} onChange={e=>set({type:e.target.value})} placeholder="Single, EP, Beat…" className="w-full border rounded p-2"/>
               </div>
+              <div>
+                <div className="text-sm mb-1">Release date</div>
+                <input type="date" value={draft.releaseDate||""} onChange={e=>set({releaseDate:e.target.value||null})} className="w-full border rounded p-2"/>
+                <div className="text-xs text-slate-500 mt-1">{releaseLabel(draft.releaseDate) || "No release date"}</div>
+              </div>
+              <div>
+                <div className="text-sm mb-1">Stage</div>
+                <select value={draft.stage||""} onChange={e=>set({stage:e.target.value||null})} className="w-full border rounded p-2">
+                  <option value="">Auto ({projectStage({ ...draft, stage: null })})</option>
+                  {STAGES.map(st=> <option key={st} value={st}>{st}</option>)}
+                </select>
+              </div>
               <div className="col-span-2">
                 <div className="text-sm mb-1">Short note</div>
                 <textarea value={draft.note||""} onChange={e=>set({note:e.target.value})} rows={2} className="w-full border rounded p-2"/>
@@ -422,42 +996,72 @@ function ProjectEditor({ user, project, onClose, onSave, onDelete, onToggleTask,
                 {/* PROJECT GROUP (WIDE INPUT) */}
                 <div className="bg-gray-300 rounded-lg border p-2">
                   <div className="text-sm mb-10">Project group</div>
-                  <input value={draft.group || ""} 
-                        onChange={e=>set({group: e.target.value})}
-                        placeholder="Group name (e.g. Album X)"
-                        className="w-full border rounded p-5" />
+                  {/* groups are per user, so on someone else's shared project the name is all we have */}
+                  {role === "owner" ? (
+                    <select value={groups.some(g => g.id === draft.groupId) ? draft.groupId : ""}
+                        onChange={e=>{ const g = groups.find(x => x.id === e.target.value); set(g ? {groupId: g.id, group: g.name} : {groupId: null, group: ""}); }}
+                        className="w-full border rounded p-5">
+                      <option value="">No group</option>
+                      {groups.map(g => <option key={g.id} value={g.id}>{g.emoji} {g.name}</option>)}
+                    </select>
+                  ) : (
+                    <div className="w-full border rounded p-5 bg-white/60">{draft.group || "No group"}</div>
+                  )}
                 </div>
               </div>
             </div>
 
 
             
-            <div className="mt-3 text-xs text-slate-600 flex items-center justify-between"><span>{progress}% complete</span><span>Priority: {["None","Low","Med","High"][draft.priority??0]}</span></div>
+            <div className="mt-3 text-xs text-slate-600 flex items-center justify-between"><span>{progress}% complete</span><span>Priority: {["None","Low","Med","High"][draft.priority]}</span></div>
             <div className="h-2 bg-slate-300 rounded mt-1 overflow-hidden"><div className="h-full bg-slate-800" style={{width:`${progress}%`}}/></div>
           </div>
           {/*TASKS*/}
           <div className="bg-slate-50 rounded-xl p-3">
             <div className="text-sm mb-2 font-medium">Tasks</div>
             <div className="space-y-2">
-              {(draft.tasks||[]).map(t=> (
-                <label key={t.id} className="flex items-center gap-2 bg-white rounded-md p-2 border">
-                  <input type="checkbox" checked={t.done} onChange={()=>onToggleTask(draft.id, t.id)} className="accent-black"/>
-                  <input value={t.title} onChange={e=>updateTaskTitle(t.id, e.target.value)} className={`flex-1 border-0 outline-none ${t.done?"line-through opacity-60":""}`}/>
-                  <button className="px-2 py-1 rounded bg-slate-200" onClick={()=>removeTask(t.id)}>Remove</button>
-                </label>
+              <SortableContext items={draft.tasks.map(t=>t.id)} strategy={verticalListSortingStrategy}>
+              {draft.tasks.map(t=> (
+                <SortableTaskRow key={t.id} id={t.id} disabled={readOnly}>
+                <div className="bg-white rounded-md p-2 border">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={t.done} onChange={()=>onToggleTask(draft.id, t.id)} className="accent-black"/>
+                    <input value={t.title} onChange={e=>updateTaskTitle(t.id, e.target.value)} className={`flex-1 border-0 outline-none ${t.done?"line-through opacity-60":""}`}/>
+                    {t.subtasks?.length>0 && <span className="text-xs text-slate-500">{subtaskCount(t).done}/{subtaskCount(t).total}</span>}
+                    <input type="number" min="0" step="1" value={t.effort??""} onChange={e=>updateTaskEffort(t.id, e.target.value)} placeholder="pts" title="Effort (points); empty counts as 1" className="w-14 text-xs border rounded p-1"/>
+                    <input type="date" value={t.dueDate||""} onChange={e=>updateTaskDue(t.id, e.target.value)} title="Due date" className={`text-xs border rounded p-1 ${{overdue:"border-red-400 text-red-600",soon:"border-orange-400 text-orange-600"}[dueState(t)]||""}`}/>
+                    <button className="px-2 py-1 rounded bg-slate-200" onClick={()=>removeTask(t.id)}>Remove</button>
+                  </label>
+                  {/* subtasks (checking the parent checks them all) */}
+                  <div className="ml-6 mt-1 space-y-1">
+                    {(t.subtasks||[]).map(st=> (
+                      <label key={st.id} className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" checked={st.done} onChange={()=>onToggleSubtask(draft.id, t.id, st.id)} className="accent-black"/>
+                        <input value={st.title} onChange={e=>updateSubtask(t.id, st.id, e.target.value)} className={`flex-1 border-0 outline-none ${st.done?"line-through opacity-60":""}`}/>
+                        <button className="px-2 py-0.5 rounded bg-slate-100 text-xs" onClick={()=>removeSubtask(t.id, st.id)}>✕</button>
+                      </label>
+                    ))}
+                    <input placeholder="+ step…" onKeyDown={(e)=>{ if(e.key==='Enter' && e.currentTarget.value.trim()){ onAddSubtask(draft.id, t.id, e.currentTarget.value.trim()); e.currentTarget.value=''; } }} className="w-full text-sm border-0 border-b border-dashed outline-none py-0.5"/>
+                  </div>
+                </div>
+                </SortableTaskRow>
               ))}
+              </SortableContext>
               <div className="flex gap-2">
                 <input placeholder="Add task…" onKeyDown={(e)=>{ if(e.key==='Enter' && e.currentTarget.value.trim()){ onAddTask(draft.id, e.currentTarget.value.trim()); e.currentTarget.value=''; } }} className="flex-1 border rounded p-2"/>
-                <button onClick={()=>onAddSuggested(draft.id)} className="px-2 py-1 rounded bg-slate-200">Suggested</button>
+                <select value="" onChange={e=>{ const t=templates.find(x=>x.id===e.target.value); if(t) onApplyTemplate(draft.id, t); }} title="Add the template's tasks this project doesn't have yet" className="px-2 py-1 rounded bg-slate-200">
+                  <option value="">Add from template…</option>
+                  {templates.map(t=> <option key={t.id} value={t.id}>{t.emoji} {t.name} ({t.tasks.length})</option>)}
+                </select>
               </div>
             </div>
           </div>
-        </div>
+        </fieldset>
         {/*LINKS*/}
         <div className="space-y-4">
-          <div className="bg-slate-50 rounded-xl p-3">
+          <fieldset disabled={readOnly} className="bg-slate-50 rounded-xl p-3 min-w-0">
             <div className="text-sm mb-2 font-medium">Links</div>
-            {(draft.links||[]).map((lnk,i)=> (
+            {draft.links.map((lnk,i)=> (
               <div key={lnk.url||lnk.label||i} className="flex gap-2 items-center mb-2">
                 <input value={lnk.label} onChange={e=>updateLink(i,{label:e.target.value})} placeholder="Label (SoundCloud, Lyrics…)" className="border rounded p-2 flex-1"/>
                 <input value={lnk.url} onChange={e=>updateLink(i,{url:e.target.value})} placeholder="https://" className="border rounded p-2 flex-1"/>
@@ -465,10 +1069,25 @@ function ProjectEditor({ user, project, onClose, onSave, onDelete, onToggleTask,
               </div>
             ))}
             <button onClick={()=>onAddLink(draft.id)} className="px-2 py-1 rounded bg-slate-200">+ Add link</button>
+          </fieldset>
+          {/*MOVE TASKS: drop a task (by its ⠿ handle) on a project*/}
+          {!readOnly && moveTargets.length>0 && (
+            <div className="bg-slate-50 rounded-xl p-3">
+              <div className="text-sm mb-2 font-medium">Move a task to…</div>
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {moveTargets.map(p=> <ProjectDropTarget key={p.id} project={p}/>)}
+              </div>
+            </div>
+          )}
+          {/*HISTORY*/}
+          <div className="bg-slate-50 rounded-xl p-3">
+            <div className="text-sm mb-2 font-medium">History</div>
+            <ActivityTimeline entries={project.activity} />
           </div>
           <div className="bg-slate-50 rounded-xl p-3 text-sm text-slate-600">When all tasks are checked, confetti fires and the brick shows a <em>Done</em> badge. 🥳</div>
         </div>
       </div>
+      </DndContext>
     </div>
   );
 }
@@ -478,55 +1097,144 @@ export default function App(){
   // const [state, setState] = useAppState();
   const [query, setQuery] = useState("");
   const [activeId, setActiveId] = useState(null);
-  const [sortMode, setSortMode] = useState("order"); // "order" | "priority"
+  const [sortMode, setSortMode] = useState("order"); // "order" | "priority" | "todoFirst" | "doneFirst" | "dueSoonest"
   const [groupMode, setGroupMode] = useState("none"); // "none" | "project" | "priority"
 
   const sensors = useSensors(useSensor(PointerSensor, { activationConstraint:{ distance:6 } }));
   // const projects = state.projects;
 
+  const authUser = useAuthUser();
+  const [guest, setGuest] = useState(() => load() !== null);
+  const cloudRepo = useMemo(() => authUser ? createFirestoreRepository(db, authUser.uid, { email: authUser.emailVerified ? authUser.email : null }) : null, [authUser]);
+  const localRepo = useMemo(() => createMemoryRepository({ initial: load()?.projects || [], persist: (projects) => save({ projects }) }), []);
+  const cloudTemplateRepo = useMemo(() => authUser ? createFirestoreCollectionRepository(db, authUser.uid, "templates") : null, [authUser]);
+  const localTemplateRepo = useMemo(() => createMemoryCollectionRepository({
+    initial: loadTemplates(),
+    persist: (list) => { try { localStorage.setItem(TEMPLATES_KEY, JSON.stringify(list)); } catch { /* storage unavailable */ } },
+  }), []);
+  const cloudFilterRepo = useMemo(() => authUser ? createFirestoreCollectionRepository(db, authUser.uid, "filters") : null, [authUser]);
+  const localFilterRepo = useMemo(() => createMemoryCollectionRepository({
+    initial: loadFilters(),
+    persist: (list) => { try { localStorage.setItem(FILTERS_KEY, JSON.stringify(list)); } catch { /* storage unavailable */ } },
+  }), []);
+  const cloudGroupRepo = useMemo(() => authUser ? createFirestoreCollectionRepository(db, authUser.uid, "groups") : null, [authUser]);
+  const localGroupRepo = useMemo(() => createMemoryCollectionRepository({
+    initial: loadGroups(),
+    persist: (list) => { try { localStorage.setItem(GROUPS_KEY, JSON.stringify(list)); } catch { /* storage unavailable */ } },
+  }), []);
+  const user = authUser || (guest ? GUEST : null);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false); // true | "selection" (from the bulk bar)
+  const [shareId, setShareId] = useState(null);
+  const [importPlan, setImportPlan] = useState(null); // { fileName, rows, errors } while the preview is open
+  const [viewMode, setViewMode] = useState(() => ["kanban", "timeline", "stats"].includes(localStorage.getItem(VIEW_KEY)) ? localStorage.getItem(VIEW_KEY) : "grid");
+  useEffect(() => { try { localStorage.setItem(VIEW_KEY, viewMode); } catch { /* storage unavailable */ } }, [viewMode]);
+  const [trashDays, setTrashDays] = useState(() => Number(localStorage.getItem(TRASH_DAYS_KEY)) || TRASH_RETENTION_DAYS);
+  useEffect(() => { try { localStorage.setItem(TRASH_DAYS_KEY, String(trashDays)); } catch { /* storage unavailable */ } }, [trashDays]);
+
   const {
-    user, projects,
-    addProject, cloneProject, updateProject, deleteProject,
-    toggleTask, addTask, addSuggested, addLink, changeColor
-  } = useFirebaseState();
+    projects, trash,
+    addProject, cloneProject, updateProject, updateProjects, deleteProject, restoreProject, purgeProject,
+    cloneProjects, deleteProjects, applyTemplateMany,
+    toggleTask, addTask, applyTemplate, addLink, changeColor, importProjects, repairProjects,
+    toggleSubtask, addSubtask, reorderTasks, moveTask, setStage,
+    sync, failedWrites, retryWrite, dismissWrite,
+    shareProject, setMemberRole, unshareProject, roleOf,
+    undo, redo, canUndo, canRedo
+  } = useProjects(authUser ? cloudRepo : guest ? localRepo : null, { trashRetentionDays: trashDays, actor: user?.isGuest ? "Guest" : user?.email, email: authUser?.email });
+
+  // --- Sync status: failed writes > offline > queued writes / cache-only > in sync ---
+  const online = useOnline();
+  const persistenceState = usePersistence();
+  const pendingIds = useMemo(() => new Set(sync.pendingIds), [sync.pendingIds]);
+  const syncState = !authUser ? "local"
+    : failedWrites.length ? "error"
+    : !online ? "offline"
+    : pendingIds.size || sync.fromCache ? "syncing"
+    : "online";
+
+  const { templates, savedTemplates, saveTemplate, removeTemplate, stageTemplates } = useTemplates(authUser ? cloudTemplateRepo : guest ? localTemplateRepo : null);
+  const { filters: savedFilters, saveFilter, removeFilter } = useSavedFilters(authUser ? cloudFilterRepo : guest ? localFilterRepo : null);
+  const { groups: projectGroups, ready: groupsReady, saveGroup, removeGroup, stageGroup } = useGroups(authUser ? cloudGroupRepo : guest ? localGroupRepo : null);
+
+  // keep projects and groups in line (lib/groups.js groupRepairs): free-text group names get
+  // linked to a group entity, and a renamed group's name is copied to every member.
+  // Only our own projects (groups are per user). A repair in flight isn't started again, and one
+  // that failed isn't retried this session (its failed write is listed in the sync status instead).
+  const repairsTried = useRef(new Set());
+  useEffect(() => {
+    if (!groupsReady || sync.fromCache) return;
+    const own = [...projects, ...trash].filter(p => projectRole(p, authUser?.email) === "owner");
+    const { created, patches } = groupRepairs(projectGroups, own);
+    const keyOf = ({ id, patch }) => `${id}:${JSON.stringify(patch)}`;
+    const fresh = patches.filter(x => !repairsTried.current.has(keyOf(x)));
+    if (!fresh.length) return;
+    fresh.forEach(x => repairsTried.current.add(keyOf(x)));
+    (async () => {
+      const staged = created.filter(g => fresh.some(x => x.patch.groupId === g.id)).map(stageGroup);
+      const ok = await repairProjects(fresh, fresh.length === 1 ? "updated the project's group" : `updated the group of ${fresh.length} projects`, staged);
+      if (ok) fresh.forEach(x => repairsTried.current.delete(keyOf(x)));
+    })().catch(err => console.error("Failed to link project groups", err));
+  }, [groupsReady, sync.fromCache, projects, trash, projectGroups, authUser, stageGroup, repairProjects]);
+
+  // after sign-in, offer to move the guest board into the account
+  const [pendingMigration, setPendingMigration] = useState(null);
+  useEffect(() => {
+    if (!authUser) return;
+    setGuest(false);
+    const localProjects = load()?.projects || [];
+    if (localProjects.length) setPendingMigration(localProjects);
+  }, [authUser]);
 
 
  
 
+  // search syntax (lib/query.js); a filter only hides bricks, the sort below is unchanged
+  const parsedQuery = useMemo(() => parseQuery(query), [query]);
+  const highlights = useMemo(() => queryHighlights(parsedQuery), [parsedQuery]);
+
   // ✅ FIX: KEEP MANUAL ORDER STABLE; SEARCH STILL WORKS
   const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    const arr = q
-      ? projects.filter(p => [p.name, p.type, p.note].join(" ").toLowerCase().includes(q))
+    const arr = parsedQuery.terms.length
+      ? projects.filter(p => matchesQuery(p, parsedQuery))
       : projects;
 
     if (sortMode === "priority") {
       // Priority first (high→low), then stable by order
       return arr.slice().sort(
-        (a,b) => (b.priority ?? 0) - (a.priority ?? 0) || (a.order ?? 0) - (b.order ?? 0)
+        (a,b) => b.priority - a.priority || a.order - b.order
       );
     }
 
     // CompletedFirst
     if (sortMode =="doneFirst") {
       return arr.slice().sort(
-        (a,b) => Number(isDone(b)) - Number(isDone(a)) || (a.order ?? 0) - (b.order ?? 0)
+        (a,b) => Number(isDone(b)) - Number(isDone(a)) || a.order - b.order
       );
     }
 
     // Uncompleted first
     if (sortMode === "todoFirst") {
       return arr.slice().sort(
-        (a,b) => Number(isDone(a)) - Number(isDone(b)) || (a.order ?? 0) - (b.order ?? 0)
+        (a,b) => Number(isDone(a)) - Number(isDone(b)) || a.order - b.order
+      );
+    }
+
+    // Due soonest: earliest open task due date or release date; undated last
+    if (sortMode === "dueSoonest") {
+      const key = (p) => nextDeadline(p) || "9999-99-99";
+      return arr.slice().sort(
+        (a,b) => key(a).localeCompare(key(b)) || a.order - b.order
       );
     }
 
       // Manual mode
-    return arr.slice().sort((a,b) => (a.order ?? 0) - (b.order ?? 0));
-  }, [projects, query, sortMode]);
+    return arr.slice().sort((a,b) => a.order - b.order);
+  }, [projects, parsedQuery, sortMode]);
 
   function isDone(p) {
-    return (p.tasks?.length ?? 0) > 0 && (p.tasks || []).every(t => t.done);
+    return p.tasks.length > 0 && p.tasks.every(t => t.done);
   }
 
 
@@ -537,7 +1245,7 @@ export default function App(){
   
   const houseBricks = useMemo(() =>
     projects.flatMap(p =>
-      (p.tasks || [])
+      p.tasks
         .filter(t => t.done)
         .map(() => (p.accent && p.accent !== "#00000000") ? p.accent : p.color)
     ), [projects]);
@@ -547,14 +1255,14 @@ export default function App(){
     if (groupMode === "project") {
       const map = new Map();
       for (const p of filtered) {
-        const key = (p.group || "Ungrouped").trim() || "Ungrouped";
+        const key = p.group || "Ungrouped";
         if (!map.has(key)) map.set(key, []);
         map.get(key).push(p);
       }
       return Array.from(map.entries()); // [ [groupName, projects[]], ... ]
     }
     if (groupMode === "priority") {
-      const label = (n)=>["None","Low","Med","High"][Math.max(0, Math.min(3, n ?? 0))];
+      const label = (n)=>["None","Low","Med","High"][n];
       const map = new Map();
       for (const p of filtered) {
         const key = label(p.priority);
@@ -569,6 +1277,45 @@ export default function App(){
     return [["All", filtered]];
   }, [filtered, groupMode]);
 
+  // --- Multi-select: ctrl/cmd-click toggles, shift-click selects a range (in on-screen order) ---
+  const [selectMode, setSelectMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const anchorId = useRef(null);
+  const visibleIds = useMemo(() => groups.flatMap(([, items]) => items.map(p => p.id)), [groups]);
+  // drop ids that left the board (trashed, unshared, filtered out)
+  useEffect(() => {
+    setSelectedIds(prev => { const next = new Set([...prev].filter(id => visibleIds.includes(id))); return next.size === prev.size ? prev : next; });
+  }, [visibleIds]);
+  const selection = useMemo(() => filtered.filter(p => selectedIds.has(p.id)), [filtered, selectedIds]);
+  const clearSelection = useCallback(() => { setSelectedIds(new Set()); setSelectMode(false); anchorId.current = null; }, []);
+
+  const selectBrick = useCallback((id, e) => {
+    setSelectMode(true);
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      const from = visibleIds.indexOf(anchorId.current), to = visibleIds.indexOf(id);
+      if (e?.shiftKey && from >= 0 && to >= 0) visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(x => next.add(x));
+      else if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    if (!e?.shiftKey) anchorId.current = id;
+  }, [visibleIds]);
+
+  const openBrick = useCallback((id, e) => {
+    if (selectMode || e?.shiftKey || e?.ctrlKey || e?.metaKey) selectBrick(id, e);
+    else setActiveId(id);
+  }, [selectMode, selectBrick]);
+
+  // bulk edits skip projects the user may only view
+  const editableSelection = useMemo(() => selection.filter(p => canEdit(p, authUser?.email)), [selection, authUser]);
+  const bulk = useCallback(async (run) => {
+    const skipped = selection.length - editableSelection.length;
+    if (!editableSelection.length) { setToast("You can only view the selected projects"); return; }
+    await run(editableSelection.map(p => p.id));
+    if (skipped) setToast(`Skipped ${skipped} view-only project${skipped === 1 ? "" : "s"}`);
+  }, [selection, editableSelection]);
+
 
   // const addProject = useCallback(()=>{
   //  const p={ id:uid(), name:"New project", type:"", note:"", emoji: EMOJIS[(Math.random()*EMOJIS.length)|0], color: COLORS[(Math.random()*COLORS.length)|0], priority:2, path:"", links:[], tasks:[] };
@@ -587,34 +1334,120 @@ export default function App(){
   const onDragEnd = useCallback(async (e) => {
     const { active, over } = e;
     if (!over || active.id === over.id) return;
-    if (query.trim()) return; // don't reorder while filtered
 
-    const ids = filtered.map(p => p.id);
+    // kanban: dropped on a stage column
+    const stage = stageFromDropId(over.id);
+    if (stage) {
+      const p = filtered.find(x => x.id === active.id);
+      if (p && projectStage(p) !== stage) await setStage(p.id, stage);
+      return;
+    }
+
+    // a filter only hides bricks, so in manual order the move is made on the whole board
+    // (landing next to the brick it was dropped on); other sorts can't be mapped back under a filter
+    if (query.trim() && sortMode !== "order") return;
+    const board = sortMode === "order" ? projects.slice().sort((a, b) => a.order - b.order) : filtered;
+
+    const ids = board.map(p => p.id);
     const oldIndex = ids.indexOf(active.id);
     const newIndex = ids.indexOf(over.id);
     if (oldIndex === -1 || newIndex === -1) return;
 
-    const reordered = arrayMove(filtered, oldIndex, newIndex);
+    const reordered = arrayMove(board, oldIndex, newIndex);
 
     try {
-      // PERSIST THE NEW ORDER INDEXES
-      await Promise.all(
-        reordered.map((p, i) =>
-          updateProject({ id: p.id, order: i }) // <<< WRITE order
-        )
-      );
+      // PERSIST THE NEW ORDER: usually just the dragged brick, otherwise one batch
+      // viewers can't write shared projects, so those keep their stored order
+      const writes = planMove(reordered, newIndex).filter(w => canEdit(reordered.find(p => p.id === w.id), authUser?.email));
+      await updateProjects(writes, `moved ${reordered[newIndex].name}`);
     } catch (err) {
       console.error("Failed to persist order", err);
     }
-  }, [filtered, query, updateProject]);
+  }, [filtered, projects, query, sortMode, setStage, updateProjects, authUser]);
   // <<< REPLACE END
 
 
 
   const active = useMemo(()=> projects.find(p=>p.id===activeId) || null, [projects, activeId]);
+  // the editor reports unsaved edits so closing (button, backdrop) can ask first
+  const editorDirty = useRef(false);
+  const setEditorDirty = useCallback((dirty) => { editorDirty.current = dirty; }, []);
+  const closeEditor = useCallback(() => {
+    if (editorDirty.current && !window.confirm("Discard your unsaved changes?")) return;
+    setActiveId(null);
+  }, []);
+
+  // --- Undo / redo (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y) with a short toast ---
+  const [toast, setToast] = useState(null);
+  useEffect(() => {
+    if (!toast) return;
+    const id = setTimeout(() => setToast(null), 2500);
+    return () => clearTimeout(id);
+  }, [toast]);
+
+  const runHistory = useCallback(async (which) => {
+    try {
+      const label = await (which === "undo" ? undo() : redo());
+      if (label) setToast(`${which === "undo" ? "Undone" : "Redone"}: ${label}`);
+    } catch (err) {
+      console.error(`Failed to ${which}`, err);
+      setToast(`Could not ${which}: the project may have been removed`);
+    }
+  }, [undo, redo]);
+
+  // --- Group pages (lib/groups.js): the page replaces the board while open ---
+  const [groupPageId, setGroupPageId] = useState(null);
+  const groupPage = projectGroups.find(g => g.id === groupPageId) || null;
+  const groupTracks = useMemo(() => groupPage ? tracklist(groupPage, projects) : [], [groupPage, projects]);
+
+  const addGroup = useCallback(async () => {
+    let name = "New group";
+    for (let i = 2; projectGroups.some(g => groupKey(g.name) === groupKey(name)); i++) name = `New group ${i}`;
+    const g = blankGroup(name);
+    try { await saveGroup(g); setGroupPageId(g.id); }
+    catch (err) { alert(`Could not create the group: ${err.message}`); }
+  }, [projectGroups, saveGroup]);
+
+  // a rename goes to the members (trashed ones too) in the same batch as the group itself
+  const saveGroupPage = useCallback(async (g) => {
+    const old = projectGroups.find(x => x.id === g.id);
+    const members = [...projects, ...trash].filter(p => p.groupId === g.id && p.group !== g.name && projectRole(p, authUser?.email) === "owner");
+    if (!old || old.name === g.name || !members.length) {
+      try { await saveGroup(g); setToast(`Saved group ${g.name}`); }
+      catch (err) { alert(`Could not save the group: ${err.message}`); }
+      return;
+    }
+    const patches = members.map(p => ({ id: p.id, patch: { group: g.name } }));
+    if (await repairProjects(patches, `renamed the group ${old.name} to ${g.name}`, [stageGroup(g)])) setToast(`Saved group ${g.name}`);
+  }, [projectGroups, projects, trash, authUser, saveGroup, stageGroup, repairProjects]);
+
+  // members (trashed ones too) stay on the board, ungrouped
+  const deleteGroup = useCallback(async (g) => {
+    const members = [...projects, ...trash].filter(p => p.groupId === g.id);
+    if (!window.confirm(`Delete the group ${g.name}? Its ${members.length} project${members.length === 1 ? "" : "s"} stay on the board.`)) return;
+    await updateProjects(members.map(p => ({ id: p.id, groupId: null, group: "" })), `ungrouped ${g.name}`);
+    try { await removeGroup(g.id); setGroupPageId(null); }
+    catch (err) { alert(`Could not delete the group: ${err.message}`); }
+  }, [projects, trash, updateProjects, removeGroup]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape" && selectMode && !activeId) { clearSelection(); return; }
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // leave text fields their own native undo
+      const el = e.target;
+      if (el instanceof HTMLElement && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); runHistory("undo"); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); runHistory("redo"); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [runHistory, selectMode, activeId, clearSelection]);
 
-  // --- Self tests (run once in dev browsers) ---
+  // --- Self tests (run once in dev browsers; lib modules have specs, see npm test) ---
   useEffect(()=>{
+    if (!import.meta.env.DEV) return;
     try {
       const t1 = calcProjectProgress({tasks:[]}); console.assert(t1===0, 'progress empty');
       const t2 = calcProjectProgress({tasks:[{done:true},{done:false},{done:true},{done:false}]}); console.assert(t2===50, 'progress 2/4');
@@ -653,18 +1486,25 @@ export default function App(){
           <div className="flex items-center gap-2">
             {/* Search (desktop) */}
             {user && (
-              <div className="w-64 hidden md:block">
-                <div className="relative">
-                  <input
-                    value={query}
-                    onChange={(e) => setQuery(e.target.value)}
-                    placeholder="Search projects…"
-                    className="w-full pl-3 pr-3 py-2 rounded-md bg-white shadow border border-slate-200"
-                  />
-                </div>
+              <div className="w-96 hidden md:block">
+                <SearchBox
+                  value={query}
+                  onChange={setQuery}
+                  projects={projects}
+                  errors={parsedQuery.errors}
+                  saved={savedFilters}
+                  onSave={(name) => saveFilter(name, query.trim()).then(() => setToast(`Saved view ${name}`), err => alert(`Could not save the view: ${err.message}`))}
+                  onDelete={(id) => removeFilter(id).catch(err => alert(`Could not delete the view: ${err.message}`))}
+                />
               </div>
             )}
 
+          <div className="hidden md:flex rounded-md border bg-white overflow-hidden" title="Board view">
+            {[["grid", "▦ Grid"], ["kanban", "☰ Pipeline"], ["timeline", "▤ Timeline"], ["stats", "📊 Stats"]].map(([v, l]) => (
+              <button key={v} onClick={() => setViewMode(v)} className={`px-3 py-2 text-sm ${viewMode === v ? "bg-black text-white" : ""}`}>{l}</button>
+            ))}
+          </div>
+
           <select
             value={sortMode}
             onChange={(e)=>setSortMode(e.target.value)}
@@ -674,31 +1514,50 @@ export default function App(){
             <option value="priority">Priority</option>
             <option value="todoFirst">Uncompleted first</option>
             <option value="doneFirst">Completed first</option>
+            <option value="dueSoonest">Due soonest</option>
           </select>
 
 
             {/* Actions */}
             {user && (
               <>
-                <button onClick={addProject} className="px-3 py-2 rounded-md bg-black text-white">
+                <button onClick={() => addProject()} className="px-3 py-2 rounded-md bg-black text-white">
                   + New project
                 </button>
-
-                <button
-                  onClick={() => {
-                    const blob = new Blob([JSON.stringify({ projects }, null, 2)], { type: "application/json" });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement("a");
-                    a.href = url;
-                    a.download = "beatbricks-data.json";
-                    a.click();
-                    URL.revokeObjectURL(url);
-                  }}
-                  className="px-3 py-2 rounded-md bg-white border"
+                <select
+                  value=""
+                  onChange={(e) => { const t = templates.find(x => x.id === e.target.value); if (t) addProject(t); }}
+                  className="px-2 py-2 rounded-md bg-white border"
+                  title="New project from a template"
                 >
+                  <option value="">From template…</option>
+                  {templates.map(t => <option key={t.id} value={t.id}>{t.emoji} {t.name}</option>)}
+                </select>
+                <button onClick={() => setTemplatesOpen(true)} className="px-3 py-2 rounded-md bg-white border" title="Manage templates">
+                  📋
+                </button>
+                <select
+                  value=""
+                  onChange={(e) => { if (e.target.value === "new") addGroup(); else if (e.target.value) setGroupPageId(e.target.value); }}
+                  className="px-2 py-2 rounded-md bg-white border"
+                  title="Project groups (albums, EPs, ...)"
+                >
+                  <option value="">💿 Groups…</option>
+                  {projectGroups.map(g => <option key={g.id} value={g.id}>{g.emoji} {g.name}</option>)}
+                  <option value="new">+ New group</option>
+                </select>
+
+                <button disabled={!canUndo} onClick={() => runHistory("undo")} title="Undo (Ctrl+Z)" className="px-3 py-2 rounded-md bg-white border disabled:opacity-40">↶</button>
+                <button disabled={!canRedo} onClick={() => runHistory("redo")} title="Redo (Ctrl+Shift+Z)" className="px-3 py-2 rounded-md bg-white border disabled:opacity-40">↷</button>
+
+                <button onClick={() => setExportOpen(true)} className="px-3 py-2 rounded-md bg-white border">
                   Export
                 </button>
 
+                <button onClick={() => (selectMode ? clearSelection() : setSelectMode(true))} className={`px-3 py-2 rounded-md border ${selectMode ? "bg-sky-500 text-white" : "bg-white"}`} title="Select several bricks (or ctrl/shift-click)">
+                  {selectMode ? "Cancel select" : "Select"}
+                </button>
+
                 <label className="px-3 py-2 rounded-md bg-white border cursor-pointer">
                   Import
                   <input
@@ -707,26 +1566,41 @@ export default function App(){
                     className="hidden"
                     onChange={async (e) => {
                       const f = e.target.files?.[0];
+                      e.target.value = ""; // allow picking the same file again
                       if (!f) return;
-                      try {
-                        const text = await f.text();
-                        const data = JSON.parse(text);
-                        for (const p of data.projects || []) {
-                          const id = p.id || crypto.randomUUID();
-                          await setDoc(doc(db, `users/${user.uid}/projects/${id}`), { ...p, id });
-                        }
-                        alert("Import complete");
-                      } catch {
-                        alert("Import failed");
-                      }
+                      const { records, templates: incomingTemplates, errors } = parseImport(await f.text());
+                      setImportPlan({ fileName: f.name, rows: planImport(records, [...projects, ...trash]), templates: incomingTemplates, errors });
                     }}
                   />
                 </label>
+
+                <button onClick={() => setTrashOpen(true)} className="px-3 py-2 rounded-md bg-white border" title="Deleted projects">
+                  🗑️ Trash{trash.length ? ` (${trash.length})` : ""}
+                </button>
+
+                <SyncStatus
+                  state={syncState}
+                  pending={pendingIds.size}
+                  persistence={persistenceState}
+                  failed={failedWrites}
+                  onRetry={retryWrite}
+                  onDismiss={dismissWrite}
+                />
               </>
             )}
 
             {/* Auth UI */}
-            {user ? (
+            {user?.isGuest ? (
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-slate-600">{user.email}</span>
+                <button
+                  onClick={() => signInWithPopup(auth, provider)}
+                  className="px-3 py-2 rounded-md bg-black text-white hover:bg-slate-800"
+                >
+                  Sign in to sync
+                </button>
+              </div>
+            ) : user ? (
               <div className="flex items-center gap-2">
                 <span className="text-sm text-slate-600">{user.email}</span>
                 <button
@@ -750,17 +1624,36 @@ export default function App(){
         {/* Mobile search */}
         {user && (
           <div className="md:hidden mt-4">
-            <input
+            <SearchBox
               value={query}
-              onChange={(e) => setQuery(e.target.value)}
-              placeholder="Search projects…"
-              className="w-full pl-3 pr-3 py-2 rounded-md bg-white shadow border border-slate-200"
+              onChange={setQuery}
+              projects={projects}
+              errors={parsedQuery.errors}
+              saved={savedFilters}
+              onSave={(name) => saveFilter(name, query.trim()).then(() => setToast(`Saved view ${name}`), err => alert(`Could not save the view: ${err.message}`))}
+              onDelete={(id) => removeFilter(id).catch(err => alert(`Could not delete the view: ${err.message}`))}
             />
           </div>
         )}
 
         {/* Signed-in content */}
-        {user ? (
+        {user && groupPage ? (
+          <GroupPage
+            key={groupPage.id}
+            group={groupPage}
+            groups={projectGroups}
+            tracks={groupTracks}
+            candidates={projects.filter(p => p.groupId !== groupPage.id && projectRole(p, authUser?.email) === "owner")}
+            readOnly={(p) => !canEdit(p, authUser?.email)}
+            onSave={saveGroupPage}
+            onDelete={() => deleteGroup(groupPage)}
+            onReorder={(trackIds) => saveGroup({ ...groupPage, trackIds }).catch(err => alert(`Could not reorder the tracklist: ${err.message}`))}
+            onAddTrack={(id) => updateProject({ id, groupId: groupPage.id, group: groupPage.name }, `added ${projects.find(p => p.id === id)?.name || "project"} to ${groupPage.name}`)}
+            onRemoveTrack={(id) => updateProject({ id, groupId: null, group: "" }, `removed ${projects.find(p => p.id === id)?.name || "project"} from ${groupPage.name}`)}
+            onOpen={openBrick}
+            onClose={() => setGroupPageId(null)}
+          />
+        ) : user ? (
           <>
             {/* XP / Level */}
             <div className="mt-4 bg-white rounded-xl shadow p-4">
@@ -793,15 +1686,30 @@ export default function App(){
                   Click <strong>New project</strong> to start a brick.
                 </p>
               </div>
+            ) : viewMode === "timeline" ? (
+              <TimelineView projects={filtered} onOpen={openBrick} />
+            ) : viewMode === "stats" ? (
+              <StatsView projects={filtered} />
             ) : (
               <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={onDragEnd}>
+                {viewMode === "kanban" ? (
+                  <KanbanBoard
+                    groups={groups}
+                    showTitles={groupMode !== "none"}
+                    stageOf={projectStage}
+                    readOnly={(p) => !user || !canEdit(p, authUser?.email)}
+                    renderCard={(p) => <KanbanCard p={p} selected={selectedIds.has(p.id)} onOpen={openBrick} />}
+                  />
+                ) : (
                 <SortableContext items={filteredIds} strategy={rectSortingStrategy}>
                   {/* ✅ LOOP THROUGH GROUPS */}
                   {groups.map(([title, items]) => (
                     <div key={title} className="mt-6">
                       {groupMode !== "none" && (
                         <div className="text-sm font-medium text-slate-600 mb-2 px-1">
-                          {title}
+                          {groupMode === "project" && projectGroups.some(g => g.id === items[0]?.groupId) ? (
+                            <button onClick={() => setGroupPageId(items[0].groupId)} className="hover:underline" title="Open the group page">{title} →</button>
+                          ) : title}
                         </div>
                       )}
                       <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 auto-rows-fr">
@@ -810,11 +1718,17 @@ export default function App(){
                             <Brick
                               user={user}
                               p={p}
-                              onOpen={setActiveId}
+                              readOnly={!canEdit(p, authUser?.email)}
+                              unsynced={pendingIds.has(p.id)}
+                              selectMode={selectMode}
+                              selected={selectedIds.has(p.id)}
+                              onSelect={selectBrick}
+                              onOpen={openBrick}
                               onToggleTask={toggleTask}
                               onDelete={deleteProject}
                               onClone={cloneProject}
                               onColor={changeColor}
+                              highlight={highlights}
                             />
                           </SortableBrick>
                         ))}
@@ -822,6 +1736,7 @@ export default function App(){
                     </div>
                   ))}
                 </SortableContext>
+                )}
               </DndContext>
             )}
           </div>
@@ -836,16 +1751,142 @@ export default function App(){
             >
               Sign in with Google
             </button>
+            <div className="mt-3">
+              <button
+                onClick={() => setGuest(true)}
+                className="px-4 py-2 rounded-md bg-white border border-slate-200 hover:bg-slate-50"
+              >
+                Continue as guest
+              </button>
+              <p className="text-xs text-slate-500 mt-2">Guest projects stay in this browser until you sign in.</p>
+            </div>
           </div>
         )}
 
+        {/* Sharing (opens over the editor) */}
+        <Modal open={!!shareId && !!authUser} onClose={() => setShareId(null)}>
+          {shareId && projects.find(p => p.id === shareId) && (
+            <ShareDialog
+              project={projects.find(p => p.id === shareId)}
+              me={normalizeEmail(authUser?.email)}
+              onInvite={(email, role) => shareProject(shareId, email, role)}
+              onChangeRole={(email, role) => setMemberRole(shareId, email, role)}
+              onUnshare={async () => { await unshareProject(shareId); setShareId(null); }}
+              onClose={() => setShareId(null)}
+            />
+          )}
+        </Modal>
+
+        {/* Export */}
+        <Modal open={exportOpen && !!user} onClose={() => setExportOpen(false)}>
+          <ExportDialog
+            viewSections={groups}
+            allProjects={projects}
+            filtered={!!query.trim() || groupMode !== "none"}
+            templates={savedTemplates}
+            selection={exportOpen === "selection" ? selection : []}
+            onClose={() => setExportOpen(false)}
+          />
+        </Modal>
+
+        {/* Templates */}
+        <Modal open={templatesOpen && !!user} onClose={() => setTemplatesOpen(false)}>
+          <TemplateManager
+            templates={templates}
+            onSave={(t) => saveTemplate(t).then(() => setToast(`Saved template ${t.name}`), err => alert(`Could not save the template: ${err.message}`))}
+            onDelete={(id) => removeTemplate(id).catch(err => alert(`Could not delete the template: ${err.message}`))}
+            onClose={() => setTemplatesOpen(false)}
+          />
+        </Modal>
+
+        {/* Import preview */}
+        <Modal open={!!importPlan && !!user} onClose={() => setImportPlan(null)}>
+          {importPlan && (
+            <ImportPreview
+              plan={importPlan}
+              templateWrites={stageTemplates(importPlan.templates).length}
+              onCancel={() => setImportPlan(null)}
+              onConfirm={async (picks) => {
+                try {
+                  const n = await importProjects(resolveImport(importPlan.rows, picks), { staged: stageTemplates(importPlan.templates) });
+                  setImportPlan(null);
+                  setToast(`Imported ${n} project${n === 1 ? "" : "s"}${importPlan.templates.length ? ` and ${importPlan.templates.length} template${importPlan.templates.length === 1 ? "" : "s"}` : ""}`);
+                } catch (err) {
+                  console.error("Import failed", err);
+                  alert(`Import failed, nothing was changed: ${err.message}`);
+                }
+              }}
+            />
+          )}
+        </Modal>
+
+        {/* Trash */}
+        <Modal open={trashOpen && !!user} onClose={() => setTrashOpen(false)}>
+          <TrashBin
+            items={trash}
+            retentionDays={trashDays}
+            onRetentionChange={setTrashDays}
+            onRestore={restoreProject}
+            onPurge={purgeProject}
+            canPurge={(p) => roleOf(p) === "owner"}
+            onClose={() => setTrashOpen(false)}
+          />
+        </Modal>
+
+        {/* Guest → account migration */}
+        <Modal open={!!pendingMigration && !!authUser} onClose={() => setPendingMigration(null)}>
+          {pendingMigration && (
+            <div className="space-y-4">
+              <div className="text-lg font-semibold">Bring your guest projects along?</div>
+              <p className="text-sm text-slate-600">
+                This browser has {pendingMigration.length} project{pendingMigration.length === 1 ? "" : "s"} from guest mode.
+                Merge adds them, with your templates, groups and views, to your account (ones already in the account are kept as they are).
+                Skip leaves them on this device.
+              </p>
+              <div className="space-x-2">
+                <button
+                  onClick={async () => {
+                    try {
+                      // one batch; templates, groups and filters the account already has are kept, like its projects
+                      const fresh = (list, have) => list.filter(x => !have.some(y => y.id === x.id));
+                      const staged = [
+                        ...stageTemplates(fresh(loadTemplates(), savedTemplates)),
+                        ...fresh(loadGroups(), projectGroups).map(cloudGroupRepo.stage),
+                        ...fresh(loadFilters(), savedFilters).map(cloudFilterRepo.stage),
+                      ];
+                      await importProjects(pendingMigration, { skipExisting: true, staged });
+                      // wipe the guest board now that it lives in the account
+                      for (const p of pendingMigration) await localRepo.remove(p.id);
+                      try { [STORAGE_KEY, TEMPLATES_KEY, GROUPS_KEY, FILTERS_KEY].forEach(k => localStorage.removeItem(k)); } catch { /* storage unavailable */ }
+                    } catch (err) {
+                      console.error("Failed to migrate guest projects", err);
+                      alert("Could not move your guest projects. They are still saved on this device.");
+                    }
+                    setPendingMigration(null);
+                  }}
+                  disabled={sync.fromCache || !groupsReady}
+                  title={sync.fromCache || !groupsReady ? "Waiting for your account's projects…" : undefined}
+                  className="px-3 py-2 rounded bg-black text-white disabled:opacity-50"
+                >
+                  Merge into account
+                </button>
+                <button onClick={() => setPendingMigration(null)} className="px-3 py-2 rounded bg-slate-200">Skip</button>
+              </div>
+            </div>
+          )}
+        </Modal>
+
         {/* Modal */}
-        <Modal open={!!activeId} onClose={() => setActiveId(null)}>
+        <Modal open={!!activeId} onClose={closeEditor}>
           {user && active && (
             <ProjectEditor
+              key={active.id}
               user={user}
               project={active}
-              onClose={() => setActiveId(null)}
+              role={roleOf(active)}
+              onShare={authUser ? setShareId : undefined}
+              onClose={closeEditor}
+              onDirtyChange={setEditorDirty}
               onSave={(patch) => {
                 updateProject(patch);
                 setActiveId(null);
@@ -855,15 +1896,49 @@ export default function App(){
                 setActiveId(null);
               }}
               onToggleTask={toggleTask}
+              onToggleSubtask={toggleSubtask}
               onAddTask={addTask}
-              onAddSuggested={addSuggested}
+              onAddSubtask={addSubtask}
+              templates={templates}
+              groups={projectGroups}
+              onApplyTemplate={applyTemplate}
+              onReorderTasks={reorderTasks}
+              onMoveTask={moveTask}
+              moveTargets={projects.filter(p => p.id !== active.id && canEdit(p, authUser?.email))}
               onAddLink={addLink}
             />
           )}
         </Modal>
 
+        {/* Bulk actions for the selected bricks */}
+        {user && selectMode && selection.length > 0 && (
+          <BulkActionBar
+            count={selection.length}
+            templates={templates}
+            groups={projectGroups}
+            onPatch={(fields, verb) => bulk(ids => updateProjects(ids.map(id => ({ id, ...fields })), `${verb} on ${ids.length} project${ids.length === 1 ? "" : "s"}`))}
+            onTemplate={(t) => bulk(ids => applyTemplateMany(ids, t))}
+            onClone={() => cloneProjects(selection.map(p => p.id))}
+            onExport={() => setExportOpen("selection")}
+            onTrash={() => bulk(async ids => {
+              if (!window.confirm(`Move ${ids.length} project${ids.length === 1 ? "" : "s"} to the trash?`)) return;
+              await deleteProjects(ids);
+              clearSelection();
+            })}
+            onSelectAll={() => setSelectedIds(new Set(visibleIds))}
+            onClear={clearSelection}
+          />
+        )}
+
+        {/* Undo / redo toast */}
+        {toast && (
+          <div className={`fixed ${selectMode && selection.length ? "bottom-24" : "bottom-6"} left-1/2 -translate-x-1/2 z-[60] px-4 py-2 rounded-lg bg-slate-900 text-white text-sm shadow-lg`}>
+            {toast}
+          </div>
+        )}
+
         <div className="text-center text-xs text-slate-500 mt-10">
-          Cloud-synced with Firebase. For native folder open, wrap in Electron.
+          {user?.isGuest ? "Guest mode: saved in this browser only." : "Cloud-synced with Firebase."} For native folder open, wrap in Electron.
         </div>
       </div>
     </div>
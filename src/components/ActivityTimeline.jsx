@@ -0,0 +1,39 @@
+import React, { useState } from "react";
+import { describeEntry } from "../lib/activity";
+
+/**
+ * ActivityTimeline.jsx
+ * Newest-first list of a project's activity entries (see lib/activity.js).
+ *
+ * Props
+ *  - entries : activity entries ({ id, at, by, type, ... })
+ *  - limit   : number  (rows shown before "Show all"; default 8)
+ */
+export default function ActivityTimeline({ entries = [], limit = 8 }) {
+  const [showAll, setShowAll] = useState(false);
+  const sorted = entries.slice().sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+  const rows = showAll ? sorted : sorted.slice(0, limit);
+
+  if (!sorted.length) return <div className="text-xs text-slate-500">No history yet.</div>;
+
+  return (
+    <div>
+      <ol className="relative border-l border-slate-300 ml-1 space-y-2">
+        {rows.map(e => (
+          <li key={e.id} className="ml-3">
+            <div className="absolute -left-[5px] mt-1.5 h-2 w-2 rounded-full bg-slate-500" />
+            <div className="text-sm text-slate-800">{describeEntry(e)}</div>
+            <div className="text-[11px] text-slate-500">
+              {new Date(e.at).toLocaleString()}{e.by ? ` • ${e.by}` : ""}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {sorted.length > limit && (
+        <button onClick={() => setShowAll(v => !v)} className="mt-2 text-xs text-slate-600 underline">
+          {showAll ? "Show less" : `Show all ${sorted.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
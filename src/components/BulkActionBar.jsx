@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+
+/**
+ * BulkActionBar.jsx
+ * Floating bar for the bricks selected on the board. Every action is one
+ * atomic write in the parent (see useProjects: updateProjects, deleteProjects, ...).
+ *
+ * Props
+ *  - count       : number of selected projects
+ *  - templates   : workflow templates for "Apply template"
+ *  - groups      : project groups for "Group…" (lib/groups.js)
+ *  - onPatch     : (fields, label) => void   e.g. ({ priority: 3 }, "set priority")
+ *  - onTemplate  : (template) => void
+ *  - onClone     : () => void
+ *  - onExport    : () => void
+ *  - onTrash     : () => void
+ *  - onSelectAll : () => void
+ *  - onClear     : () => void
+ */
+const PRIORITIES = [[3, "High"], [2, "Med"], [1, "Low"], [0, "None"]];
+
+export default function BulkActionBar({ count, templates = [], groups = [], onPatch, onTemplate, onClone, onExport, onTrash, onSelectAll, onClear }) {
+  const [label, setLabel] = useState("");
+  const [accent, setAccent] = useState("#000000");
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 z-40 flex justify-center px-4">
+      <div className="flex flex-wrap items-center gap-2 bg-slate-900 text-white rounded-xl shadow-2xl px-4 py-3 text-sm">
+        <span className="font-semibold">{count} selected</span>
+        <button onClick={onSelectAll} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20">All</button>
+        <span className="w-px h-6 bg-white/20" />
+
+        <select value="" onChange={e => e.target.value !== "" && onPatch({ priority: Number(e.target.value) }, "set priority")} className="px-2 py-1 rounded bg-white/10">
+          <option value="">Priority…</option>
+          {PRIORITIES.map(([v, l]) => <option key={v} value={v} className="text-black">{l}</option>)}
+        </select>
+
+        <select
+          value=""
+          onChange={e => {
+            const g = groups.find(x => x.id === e.target.value);
+            if (g) onPatch({ groupId: g.id, group: g.name }, `moved to ${g.name}`);
+            else if (e.target.value === "none") onPatch({ groupId: null, group: "" }, "ungrouped");
+          }}
+          className="px-2 py-1 rounded bg-white/10"
+        >
+          <option value="">Group…</option>
+          {groups.map(g => <option key={g.id} value={g.id} className="text-black">{g.emoji} {g.name}</option>)}
+          <option value="none" className="text-black">No group</option>
+        </select>
+
+        <form className="flex gap-1" onSubmit={e => { e.preventDefault(); onPatch({ label: label.trim() }, "set label"); }}>
+          <input value={label} onChange={e => setLabel(e.target.value)} placeholder="Label" className="w-20 px-2 py-1 rounded text-black" />
+          <button className="px-2 py-1 rounded bg-white/10 hover:bg-white/20">Set</button>
+        </form>
+
+        <span className="flex items-center gap-1">
+          <input type="color" value={accent} onChange={e => setAccent(e.target.value)} className="h-7 w-8 rounded" title="Stroke color" />
+          <button onClick={() => onPatch({ accent }, "set stroke")} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20">Stroke</button>
+          <button onClick={() => onPatch({ accent: "#00000000" }, "cleared stroke")} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20" title="No stroke">✕</button>
+        </span>
+
+        <select value="" onChange={e => { const t = templates.find(x => x.id === e.target.value); if (t) onTemplate(t); }} className="px-2 py-1 rounded bg-white/10">
+          <option value="">Apply template…</option>
+          {templates.map(t => <option key={t.id} value={t.id} className="text-black">{t.emoji} {t.name}</option>)}
+        </select>
+
+        <span className="w-px h-6 bg-white/20" />
+        <button onClick={onClone} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20">Copy</button>
+        <button onClick={onExport} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20">Export</button>
+        <button onClick={onTrash} className="px-2 py-1 rounded bg-red-600 hover:bg-red-500">Trash</button>
+        <button onClick={onClear} className="px-2 py-1 rounded bg-white/10 hover:bg-white/20" title="Clear selection (Esc)">Done</button>
+      </div>
+    </div>
+  );
+}
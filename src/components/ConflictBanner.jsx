@@ -0,0 +1,45 @@
+import React from "react";
+
+/**
+ * ConflictBanner.jsx
+ * Shown in the project editor when someone else saved a field you are also
+ * editing. One row per field with "Keep mine" / "Take theirs".
+ *
+ * Props
+ *  - fields       : ["name", "tasks", ...]   (conflicting fields)
+ *  - mine         : draft project
+ *  - theirs       : stored project
+ *  - onKeepMine   : (field) => void
+ *  - onTakeTheirs : (field) => void
+ */
+const LABELS = {
+  emoji: "Emoji", name: "Name", priority: "Priority", type: "Type", note: "Note", color: "Color",
+  accent: "Stroke", label: "Label", group: "Group", tasks: "Tasks", links: "Links",
+};
+const PRIORITY = ["None", "Low", "Med", "High"];
+
+function preview(field, value) {
+  if (field === "priority") return PRIORITY[value] ?? "—";
+  if (field === "tasks") return `${value?.length || 0} tasks, ${value?.filter(t => t.done).length || 0} done`;
+  if (field === "links") return `${value?.length || 0} links`;
+  return value ? String(value) : "—";
+}
+
+export default function ConflictBanner({ fields = [], mine, theirs, onKeepMine, onTakeTheirs }) {
+  return (
+    <div className="rounded-xl border border-amber-300 bg-amber-50 p-3 space-y-2">
+      <div className="text-sm font-medium text-amber-900">
+        This project changed while you were editing. Pick a version for each field below:
+      </div>
+      {fields.map(f => (
+        <div key={f} className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="w-20 font-medium">{LABELS[f] || f}</span>
+          <span className="px-2 py-1 rounded bg-white border truncate max-w-[40%]" title="Your unsaved value">Yours: {preview(f, mine?.[f])}</span>
+          <span className="px-2 py-1 rounded bg-white border truncate max-w-[40%]" title="Saved value">Theirs: {preview(f, theirs?.[f])}</span>
+          <button onClick={() => onKeepMine(f)} className="px-2 py-1 rounded bg-black text-white text-xs">Keep mine</button>
+          <button onClick={() => onTakeTheirs(f)} className="px-2 py-1 rounded bg-slate-200 text-xs">Take theirs</button>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { FORMATS, exportBoard, calendarEvents, downloadFile } from "../lib/exporters";
+
+/**
+ * ExportDialog.jsx
+ * Pick a format and whether to export the current (filtered/grouped) view or everything.
+ *
+ * Props
+ *  - viewSections : [[title, projects[]]] as shown on the board right now
+ *  - allProjects  : every live project
+ *  - filtered     : boolean  (search or grouping is active; shown as a hint)
+ *  - templates    : the user's workflow templates (JSON exports can include them)
+ *  - selection    : projects selected on the board (adds a "Selected" scope, preselected)
+ *  - onClose      : () => void
+ */
+export default function ExportDialog({ viewSections, allProjects, filtered, templates = [], selection = [], onClose }) {
+  const [format, setFormat] = useState("json");
+  const [withTemplates, setWithTemplates] = useState(true);
+  const [scope, setScope] = useState(selection.length ? "selected" : filtered ? "view" : "all");
+  const sections = scope === "selected" ? [["Selected", selection]] : scope === "view" ? viewSections : [["All", allProjects]];
+  const count = sections.reduce((n, [, items]) => n + items.length, 0);
+  const fmt = FORMATS.find(f => f.value === format);
+  const noDates = format === "ics" && calendarEvents(sections).length === 0;
+
+  const download = () => {
+    const suffix = scope === "all" ? "" : `-${scope}`;
+    downloadFile(`beatbricks-data${suffix}.${fmt.ext}`, exportBoard(format, sections, { templates: withTemplates ? templates : undefined }), fmt.type);
+    onClose();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold">Export</div>
+        <div className="space-x-2">
+          <button disabled={!count || noDates} onClick={download} className="px-3 py-2 rounded bg-black text-white disabled:opacity-50">Download</button>
+          <button onClick={onClose} className="px-3 py-2 rounded bg-slate-200">Close</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-slate-50 rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Format</div>
+          {FORMATS.map(f => (
+            <label key={f.value} className="flex items-center gap-2 text-sm">
+              <input type="radio" name="export-format" checked={format === f.value} onChange={() => setFormat(f.value)} />
+              {f.label}
+            </label>
+          ))}
+          {format === "json" && templates.length > 0 && (
+            <label className="flex items-center gap-2 text-sm pt-2 border-t">
+              <input type="checkbox" checked={withTemplates} onChange={e => setWithTemplates(e.target.checked)} />
+              Include my {templates.length} template{templates.length === 1 ? "" : "s"}
+            </label>
+          )}
+        </div>
+        <div className="bg-slate-50 rounded-xl p-3 space-y-2">
+          <div className="text-sm font-medium">Projects</div>
+          {selection.length > 0 && (
+            <label className="flex items-center gap-2 text-sm">
+              <input type="radio" name="export-scope" checked={scope === "selected"} onChange={() => setScope("selected")} />
+              Selected ({selection.length})
+            </label>
+          )}
+          <label className="flex items-center gap-2 text-sm">
+            <input type="radio" name="export-scope" checked={scope === "view"} onChange={() => setScope("view")} />
+            Current view{filtered ? " (search / grouping applied)" : ""}
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="radio" name="export-scope" checked={scope === "all"} onChange={() => setScope("all")} />
+            Everything
+          </label>
+          <div className="text-xs text-slate-500">{count} project{count === 1 ? "" : "s"}</div>
+        </div>
+      </div>
+
+      {noDates && <div className="text-sm text-amber-700">No project in this selection has a release or due date yet, so there is nothing to put in a calendar.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { DndContext, PointerSensor, closestCenter, useSensor, useSensors } from "@dnd-kit/core";
+import { SortableContext, arrayMove, useSortable, verticalListSortingStrategy } from "@dnd-kit/sortable";
+import { CSS } from "@dnd-kit/utilities";
+import PixelHouse from "./PixelHouse";
+import { groupProgress, validateGroup } from "../lib/groups";
+import { weightedProgress } from "../lib/tasks";
+import { releaseLabel } from "../lib/dates";
+
+/**
+ * GroupPage.jsx
+ * One project group (album, EP, ...): its details, aggregate progress with its
+ * own PixelHouse, and the ordered tracklist of member projects.
+ *
+ * Props
+ *  - group         : { id, name, emoji, color, releaseDate, description, trackIds[] }
+ *  - groups        : all groups (names must stay unique)
+ *  - tracks        : member projects in tracklist order (lib/groups.js tracklist)
+ *  - candidates    : projects that can be added to the group
+ *  - readOnly      : (project) => boolean   (view-only tracks can't be removed)
+ *  - onSave        : (group) => void
+ *  - onDelete      : () => void   (members stay on the board, ungrouped)
+ *  - onReorder     : (trackIds) => void
+ *  - onAddTrack    : (projectId) => void
+ *  - onRemoveTrack : (projectId) => void
+ *  - onOpen        : (projectId, event) => void
+ *  - onClose       : () => void
+ */
+// what the form edits; the tracklist is saved on its own (onReorder)
+const FIELDS = ["name", "emoji", "color", "releaseDate", "description"];
+const pick = (o, keys) => Object.fromEntries(keys.map(k => [k, o[k]]));
+
+function TrackRow({ id, children }) {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id });
+  return (
+    <li ref={setNodeRef} style={{ transform: CSS.Transform.toString(transform), transition }} className={`flex items-center gap-3 bg-white rounded-lg border px-3 py-2 ${isDragging ? "relative z-10 shadow" : ""}`}>
+      <span {...attributes} {...listeners} className="cursor-grab touch-none text-slate-400" title="Drag to reorder">⠿</span>
+      {children}
+    </li>
+  );
+}
+
+export default function GroupPage({ group, groups = [], tracks, candidates = [], readOnly = () => false, onSave, onDelete, onReorder, onAddTrack, onRemoveTrack, onOpen, onClose }) {
+  const [draft, setDraft] = useState(group);
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const errors = validateGroup(draft, groups);
+  const dirty = FIELDS.some(k => draft[k] !== group[k]);
+  const progress = groupProgress(tracks);
+  const sensors = useSensors(useSensor(PointerSensor, { activationConstraint: { distance: 4 } }));
+
+  const onDragEnd = ({ active, over }) => {
+    if (!over || active.id === over.id) return;
+    const ids = tracks.map(p => p.id);
+    onReorder(arrayMove(ids, ids.indexOf(active.id), ids.indexOf(over.id)));
+  };
+
+  return (
+    <div className="mt-4 space-y-4">
+      <button onClick={onClose} className="text-sm text-slate-600 hover:underline">← Back to the board</button>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+        <div className="md:col-span-2 bg-white rounded-xl shadow p-4 space-y-3" style={{ borderTop: `6px solid ${group.color}` }}>
+          <div className="flex gap-2">
+            <input value={draft.emoji} onChange={e => set({ emoji: e.target.value })} className="w-12 text-2xl text-center border rounded" />
+            <input value={draft.name} onChange={e => set({ name: e.target.value })} placeholder="Group name (e.g. Album X)" className="flex-1 px-3 py-2 border rounded text-lg font-semibold" />
+            <input type="color" value={draft.color} onChange={e => set({ color: e.target.value })} className="h-11 w-12 rounded" />
+          </div>
+          <label className="block text-sm">Release date
+            <input type="date" value={draft.releaseDate || ""} onChange={e => set({ releaseDate: e.target.value || null })} className="mt-1 block border rounded p-2" />
+            {draft.releaseDate && <span className="text-xs text-slate-500">{releaseLabel(draft.releaseDate)}</span>}
+          </label>
+          <label className="block text-sm">Description
+            <textarea value={draft.description} onChange={e => set({ description: e.target.value })} rows={3} className="mt-1 w-full border rounded p-2" />
+          </label>
+          {errors.length > 0 && <div className="text-sm text-red-700">Group {errors.join("; ")}</div>}
+          <div className="space-x-2">
+            <button disabled={!dirty || errors.length > 0} onClick={() => onSave({ ...group, ...pick(draft, FIELDS), name: draft.name.trim() })} className="px-3 py-2 rounded bg-black text-white disabled:opacity-50">Save group</button>
+            {dirty && <button onClick={() => setDraft(group)} className="px-3 py-2 rounded bg-slate-200">Revert</button>}
+            <button onClick={onDelete} className="px-3 py-2 rounded bg-red-600 text-white">Delete group</button>
+          </div>
+          {draft.name.trim() !== group.name && errors.length === 0 && (
+            <div className="text-xs text-slate-500">Saving renames the group on all {tracks.length} of its projects.</div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow p-4">
+          <PixelHouse pct={progress} size={192} label={`${group.emoji} ${group.name} • ${progress}%`} />
+          <div className="mt-2 text-xs text-slate-600">{tracks.length} track{tracks.length === 1 ? "" : "s"} • {tracks.filter(p => weightedProgress(p.tasks) === 100).length} finished</div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-4">
+        <div className="flex items-center justify-between mb-2">
+          <div className="font-medium">Tracklist</div>
+          <select value="" onChange={e => e.target.value && onAddTrack(e.target.value)} className="border rounded px-2 py-1 text-sm bg-white" title="Add a project to this group">
+            <option value="">+ Add a project…</option>
+            {candidates.map(p => <option key={p.id} value={p.id}>{p.emoji} {p.name}{p.group ? ` (from ${p.group})` : ""}</option>)}
+          </select>
+        </div>
+        {tracks.length === 0 ? (
+          <div className="text-sm text-slate-500">No projects in this group yet.</div>
+        ) : (
+          <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={onDragEnd}>
+            <SortableContext items={tracks.map(p => p.id)} strategy={verticalListSortingStrategy}>
+              <ol className="space-y-2">
+                {tracks.map((p, i) => {
+                  const pct = weightedProgress(p.tasks);
+                  return (
+                    <TrackRow key={p.id} id={p.id}>
+                      <span className="w-6 text-right text-sm text-slate-500">{i + 1}.</span>
+                      <button onClick={(e) => onOpen(p.id, e)} className="flex-1 min-w-0 text-left truncate hover:underline">{p.emoji} {p.name}</button>
+                      <div className="w-32 h-2 bg-slate-200 rounded overflow-hidden" title={`${pct}% complete`}>
+                        <div className="h-full" style={{ width: `${pct}%`, background: p.color }} />
+                      </div>
+                      <span className="w-10 text-right text-xs text-slate-600">{pct}%</span>
+                      {!readOnly(p) && <button onClick={() => onRemoveTrack(p.id)} className="text-xs text-slate-500 hover:text-red-600" title="Remove from the group">✕</button>}
+                    </TrackRow>
+                  );
+                })}
+              </ol>
+            </SortableContext>
+          </DndContext>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { STRATEGIES } from "../lib/importer";
+import { BATCH_LIMIT } from "../lib/projectRepository";
+
+/**
+ * ImportPreview.jsx
+ * Shows what a JSON import would do before anything is written.
+ *
+ * Props
+ *  - plan      : { fileName, rows, templates, errors } from lib/importer (planImport + parseImport);
+ *                templates are added (or replace ones with the same id) alongside the projects,
+ *                all in one batch, so an import can't write more than BATCH_LIMIT of them
+ *  - templateWrites : documents the templates take in that batch (more than templates.length
+ *                     when the built-ins are seeded along with them, lib/templates.js seededWrites)
+ *  - onConfirm : (picks) => void   picks = { [projectId]: strategy } for conflicts
+ *  - onCancel  : () => void
+ */
+const BADGE = {
+  new: "bg-emerald-100 text-emerald-800",
+  changed: "bg-sky-100 text-sky-800",
+  conflict: "bg-amber-100 text-amber-800",
+  unchanged: "bg-slate-200 text-slate-600",
+};
+
+export default function ImportPreview({ plan, templateWrites, onConfirm, onCancel }) {
+  const [picks, setPicks] = useState({});
+  const [busy, setBusy] = useState(false);
+  const { rows, errors, fileName, templates = [] } = plan;
+  const count = (s) => rows.filter(r => r.status === s).length;
+  const conflicts = rows.filter(r => r.status === "conflict");
+  const writes = count("new") + count("changed") + conflicts.filter(r => (picks[r.incoming.id] || "skip") !== "skip").length;
+  const total = writes + (templateWrites ?? templates.length);
+  const tooMany = total > BATCH_LIMIT;
+  const setAll = (strategy) => setPicks(Object.fromEntries(conflicts.map(r => [r.incoming.id, strategy])));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-lg font-semibold">Import preview</div>
+          <div className="text-xs text-slate-500">{fileName}</div>
+        </div>
+        <div className="space-x-2">
+          <button
+            disabled={!(writes || templates.length) || tooMany || busy}
+            onClick={async () => { setBusy(true); try { await onConfirm(picks); } finally { setBusy(false); } }}
+            className="px-3 py-2 rounded bg-black text-white disabled:opacity-50"
+          >
+            {busy ? "Importing…" : `Import ${writes} project${writes === 1 ? "" : "s"}${templates.length ? ` + ${templates.length} template${templates.length === 1 ? "" : "s"}` : ""}`}
+          </button>
+          <button onClick={onCancel} className="px-3 py-2 rounded bg-slate-200">Cancel</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        {["new", "changed", "conflict", "unchanged"].map(s => (
+          <span key={s} className={`px-2 py-1 rounded-full ${BADGE[s]}`}>{count(s)} {s}</span>
+        ))}
+        {templates.length > 0 && <span className="px-2 py-1 rounded-full bg-violet-100 text-violet-800" title={templates.map(t => t.name).join(", ")}>{templates.length} template{templates.length === 1 ? "" : "s"}</span>}
+        {errors.length > 0 && <span className="px-2 py-1 rounded-full bg-red-100 text-red-800">{errors.length} rejected</span>}
+      </div>
+
+      {tooMany && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-800">
+          This would write {total} projects and templates; one import can write at most {BATCH_LIMIT}. Skip some conflicts or split the file.
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-800">
+          <div className="font-medium mb-1">These records can't be imported:</div>
+          <ul className="list-disc ml-5 space-y-0.5">{errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+        </div>
+      )}
+
+      {conflicts.length > 1 && (
+        <div className="flex items-center gap-2 text-sm text-slate-600">
+          All conflicts:
+          {STRATEGIES.map(s => <button key={s.value} onClick={() => setAll(s.value)} className="px-2 py-1 rounded bg-slate-200">{s.label}</button>)}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {rows.map(({ status, incoming, existing }) => (
+          <div key={incoming.id} className="flex items-center gap-3 bg-slate-50 rounded-md p-2 border">
+            <span className="text-2xl">{incoming.emoji}</span>
+            <div className="flex-1 min-w-0">
+              <div className="font-medium truncate">{incoming.name}</div>
+              <div className="text-xs text-slate-500">
+                {incoming.tasks.length} tasks
+                {existing && existing.name !== incoming.name ? ` • on your board as "${existing.name}"` : ""}
+              </div>
+            </div>
+            <span className={`text-xs px-2 py-1 rounded-full ${BADGE[status]}`}>{status}</span>
+            {status === "conflict" && (
+              <select
+                value={picks[incoming.id] || "skip"}
+                onChange={e => setPicks(p => ({ ...p, [incoming.id]: e.target.value }))}
+                className="border rounded p-1 bg-white text-sm"
+              >
+                {STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+              </select>
+            )}
+          </div>
+        ))}
+        {rows.length === 0 && <div className="text-center py-6 text-slate-500">Nothing to import.</div>}
+      </div>
+    </div>
+  );
+}
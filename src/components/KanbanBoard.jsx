@@ -0,0 +1,61 @@
+import React from "react";
+import { useDraggable, useDroppable } from "@dnd-kit/core";
+import { STAGES, STAGE_DROP_PREFIX } from "../lib/stages";
+
+/**
+ * KanbanBoard.jsx
+ * Pipeline view: one column per workflow stage (lib/stages.js). Must be rendered
+ * inside the board's DndContext; a card dropped on a column arrives in onDragEnd
+ * with over.id = "stage:<swimlane>:<Stage>" (the stage is after the last colon).
+ *
+ * Props
+ *  - groups     : [[title, projects[]]] (same sections as the grid; each becomes a swimlane)
+ *  - showTitles : boolean   (grouping is on)
+ *  - stageOf    : (project) => stage
+ *  - renderCard : (project) => node
+ *  - readOnly   : (project) => boolean   (view-only cards can't be dragged)
+ */
+function Column({ id, stage, count, children }) {
+  const { setNodeRef, isOver } = useDroppable({ id });
+  return (
+    <div ref={setNodeRef} className={`flex flex-col min-w-[220px] w-[220px] rounded-xl p-2 ${isOver ? "bg-sky-100 ring-2 ring-sky-300" : "bg-slate-200/60"}`}>
+      <div className="flex items-center justify-between px-1 pb-2 text-sm font-semibold text-slate-700">
+        <span>{stage}</span><span className="text-xs text-slate-500">{count}</span>
+      </div>
+      <div className="space-y-2 min-h-[60px]">{children}</div>
+    </div>
+  );
+}
+
+function Card({ id, disabled, children }) {
+  const { attributes, listeners, setNodeRef, transform, isDragging } = useDraggable({ id, disabled });
+  const style = transform ? { transform: `translate3d(${transform.x}px, ${transform.y}px, 0)` } : undefined;
+  return (
+    <div ref={setNodeRef} style={style} {...attributes} {...listeners} className={`touch-none ${isDragging ? "relative z-20 opacity-90" : ""}`}>
+      {children}
+    </div>
+  );
+}
+
+export default function KanbanBoard({ groups, showTitles, stageOf, renderCard, readOnly }) {
+  return (
+    <div className="space-y-6">
+      {groups.map(([title, items]) => (
+        <div key={title}>
+          {showTitles && <div className="text-sm font-medium text-slate-600 mb-2 px-1">{title}</div>}
+          <div className="flex gap-3 overflow-x-auto pb-2">
+            {STAGES.map(stage => {
+              const cards = items.filter(p => stageOf(p) === stage);
+              // every swimlane accepts drops; the stage is all that matters
+              return (
+                <Column key={stage} id={`${STAGE_DROP_PREFIX}${title}:${stage}`} stage={stage} count={cards.length}>
+                  {cards.map(p => <Card key={p.id} id={p.id} disabled={readOnly(p)}>{renderCard(p)}</Card>)}
+                </Column>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
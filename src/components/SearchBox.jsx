@@ -0,0 +1,105 @@
+import React, { useRef, useState } from "react";
+import { completions } from "../lib/query";
+
+/**
+ * SearchBox.jsx
+ * Search input for the filter syntax (lib/query.js) with autocomplete of
+ * fields and values, plus saved filters ("views").
+ *
+ * Props
+ *  - value    : query text
+ *  - onChange : (text) => void
+ *  - projects : projects offering group/label/type values to complete
+ *  - errors   : [string]   (parse problems, shown under the input)
+ *  - saved    : [{ id, name, query }]
+ *  - onSave   : (name) => void   (saves the current query)
+ *  - onDelete : (id) => void
+ */
+export default function SearchBox({ value, onChange, projects = [], errors = [], saved = [], onSave, onDelete }) {
+  const input = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [pick, setPick] = useState(0);
+  const [naming, setNaming] = useState(null); // name being typed for "save view"
+
+  const hint = open ? completions(value, caret, projects) : { items: [] };
+  // field list on an empty box; otherwise only while a token is being typed
+  const items = hint.to > hint.from || !value.trim() ? hint.items : [];
+  const current = saved.find(f => f.query === value.trim()) || null;
+
+  const apply = (item) => {
+    const next = value.slice(0, hint.from) + item.text + value.slice(hint.to).replace(/^\s+/, "");
+    const at = hint.from + item.text.length;
+    onChange(next);
+    setCaret(at);
+    setPick(0);
+    requestAnimationFrame(() => { input.current?.focus(); input.current?.setSelectionRange(at, at); });
+  };
+
+  const onKeyDown = (e) => {
+    if (!items.length) return;
+    if (e.key === "ArrowDown") { e.preventDefault(); setPick(i => (i + 1) % items.length); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setPick(i => (i - 1 + items.length) % items.length); }
+    else if (e.key === "Enter" || e.key === "Tab") { e.preventDefault(); apply(items[Math.min(pick, items.length - 1)]); }
+    else if (e.key === "Escape") { e.stopPropagation(); setOpen(false); }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex gap-1">
+        <input
+          ref={input}
+          value={value}
+          onChange={(e) => { onChange(e.target.value); setCaret(e.target.selectionStart ?? e.target.value.length); setOpen(true); setPick(0); }}
+          onKeyDown={onKeyDown}
+          onKeyUp={(e) => setCaret(e.currentTarget.selectionStart ?? 0)}
+          onClick={(e) => setCaret(e.currentTarget.selectionStart ?? 0)}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          placeholder='Search… e.g. group:"Album X" is:todo'
+          spellCheck={false}
+          className={`w-full pl-3 pr-3 py-2 rounded-md bg-white shadow border ${errors.length ? "border-amber-400" : "border-slate-200"}`}
+        />
+        {saved.length > 0 && (
+          <select
+            value={current?.id || ""}
+            onChange={(e) => { const f = saved.find(x => x.id === e.target.value); onChange(f ? f.query : ""); }}
+            className="max-w-[9rem] border rounded-md px-2 bg-white text-sm"
+            title="Saved views"
+          >
+            <option value="">Views…</option>
+            {saved.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+          </select>
+        )}
+        {current ? (
+          <button onClick={() => onDelete(current.id)} className="px-2 rounded-md bg-white border text-sm" title={`Delete the view "${current.name}"`}>✕</button>
+        ) : value.trim() && naming === null && (
+          <button onClick={() => setNaming("")} className="px-2 rounded-md bg-white border text-sm" title="Save this filter as a view">💾</button>
+        )}
+      </div>
+
+      {naming !== null && (
+        <form
+          className="absolute z-40 mt-1 right-0 flex gap-1 bg-white border rounded-md shadow p-2"
+          onSubmit={(e) => { e.preventDefault(); if (naming.trim()) { onSave(naming.trim()); setNaming(null); } }}
+        >
+          <input autoFocus value={naming} onChange={(e) => setNaming(e.target.value)} onKeyDown={(e) => e.key === "Escape" && setNaming(null)} placeholder="View name" className="border rounded px-2 py-1 text-sm" />
+          <button disabled={!naming.trim()} className="px-2 py-1 rounded bg-black text-white text-sm disabled:opacity-50">Save</button>
+          <button type="button" onClick={() => setNaming(null)} className="px-2 py-1 rounded bg-slate-200 text-sm">Cancel</button>
+        </form>
+      )}
+
+      {items.length > 0 && (
+        <ul className="absolute z-40 mt-1 left-0 w-full bg-white border rounded-md shadow text-sm max-h-64 overflow-auto">
+          {items.map((item, i) => (
+            // mousedown, not click: the input's blur would close the list first
+            <li key={item.label} onMouseDown={(e) => { e.preventDefault(); apply(item); }} className={`px-3 py-1.5 cursor-pointer font-mono ${i === pick ? "bg-slate-900 text-white" : "hover:bg-slate-100"}`}>
+              {item.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {errors.length > 0 && <div className="absolute mt-1 text-[11px] text-amber-700 truncate max-w-full" title={errors.join("\n")}>{errors[0]}</div>}
+    </div>
+  );
+}
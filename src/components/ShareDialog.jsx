@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+
+/**
+ * ShareDialog.jsx
+ * Owner-only member management for one project (see lib/sharing.js).
+ *
+ * Props
+ *  - project      : the project (roles/memberEmails present once shared)
+ *  - me           : signed-in user's lower-case email
+ *  - onInvite     : (email, role) => Promise   (shares the project on first invite)
+ *  - onChangeRole : (email, role | null) => Promise   (null removes the member)
+ *  - onUnshare    : () => Promise   (moves it back to the owner's own board)
+ *  - onClose      : () => void
+ */
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export default function ShareDialog({ project, me, onInvite, onChangeRole, onUnshare, onClose }) {
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [error, setError] = useState("");
+  const members = Object.entries(project.roles || { [me]: "owner" }).sort(([, a], [, b]) => (a === "owner" ? -1 : b === "owner" ? 1 : 0));
+
+  const run = async (fn) => {
+    setError("");
+    try { await fn(); } catch (err) { console.error("Sharing failed", err); setError(err.message || "Sharing failed"); }
+  };
+
+  const invite = () => {
+    const addr = email.trim().toLowerCase();
+    if (!EMAIL.test(addr)) { setError("Enter a valid email address"); return; }
+    if (project.roles?.[addr]) { setError(`${addr} is already a member`); return; }
+    run(async () => { await onInvite(addr, role); setEmail(""); });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold">Share “{project.name}”</div>
+        <button onClick={onClose} className="px-3 py-2 rounded bg-slate-200">Done</button>
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          onKeyDown={e => { if (e.key === "Enter") invite(); }}
+          placeholder="collaborator@email.com"
+          className="flex-1 border rounded p-2"
+        />
+        <select value={role} onChange={e => setRole(e.target.value)} className="border rounded p-2 bg-white">
+          <option value="editor">Editor</option>
+          <option value="viewer">Viewer</option>
+        </select>
+        <button onClick={invite} className="px-3 py-2 rounded bg-black text-white">Invite</button>
+      </div>
+      <p className="text-xs text-slate-500">
+        Invited people see this project on their board as soon as they sign in with that email. Editors can change tasks and fields; viewers can only look.
+      </p>
+      {error && <div className="text-sm text-red-700">{error}</div>}
+
+      <div className="space-y-2">
+        {members.map(([addr, r]) => (
+          <div key={addr} className="flex items-center gap-3 bg-slate-50 rounded-md p-2 border">
+            <div className="flex-1 truncate">{addr}{addr === me ? " (you)" : ""}</div>
+            {r === "owner" ? (
+              <span className="text-sm text-slate-600 px-2">Owner</span>
+            ) : (
+              <>
+                <select value={r} onChange={e => run(() => onChangeRole(addr, e.target.value))} className="border rounded p-1 bg-white text-sm">
+                  <option value="editor">Editor</option>
+                  <option value="viewer">Viewer</option>
+                </select>
+                <button onClick={() => run(() => onChangeRole(addr, null))} className="px-2 py-1 rounded bg-slate-200 text-sm">Remove</button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {project.roles && (
+        <button
+          onClick={() => { if (window.confirm("Stop sharing? Everyone else loses access.")) run(onUnshare); }}
+          className="px-3 py-2 rounded bg-red-100 text-red-700"
+        >
+          Stop sharing
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+import { completionEvents, weeklyCounts, dailyCounts, heatmap, streaks, cycleTimes, averageDays, stageDurations, breakdown } from "../lib/stats";
+
+/**
+ * StatsView.jsx
+ * Velocity, streaks and completion trends for the projects on the board
+ * (all numbers from recorded completion times, see lib/stats.js).
+ *
+ * Props
+ *  - projects : projects to count (already searched by the board)
+ */
+const BREAKDOWNS = [["type", "Type"], ["label", "Label"], ["group", "Group"]];
+const SHADES = ["bg-slate-200", "bg-emerald-200", "bg-emerald-400", "bg-emerald-600", "bg-emerald-800"];
+const shade = (count, max) => SHADES[count === 0 ? 0 : Math.min(4, Math.ceil((count / Math.max(1, max)) * 4))];
+const short = (ms) => new Date(ms).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+const days = (d) => (d == null ? "—" : d < 1 ? "< 1 day" : `${d.toFixed(1)} days`);
+
+function Card({ title, value, hint }) {
+  return (
+    <div className="bg-white rounded-xl shadow p-4">
+      <div className="text-xs text-slate-500">{title}</div>
+      <div className="text-2xl font-semibold mt-1">{value}</div>
+      {hint && <div className="text-xs text-slate-500 mt-1">{hint}</div>}
+    </div>
+  );
+}
+
+export default function StatsView({ projects }) {
+  const [by, setBy] = useState("type");
+  const [now] = useState(() => Date.now()); // fixed while the view is open
+  const events = useMemo(() => completionEvents(projects), [projects]);
+  const weekly = useMemo(() => weeklyCounts(events, { weeks: 12, now }), [events, now]);
+  const daily = useMemo(() => dailyCounts(events), [events]);
+  const calendar = useMemo(() => heatmap(daily, { weeks: 26, now }), [daily, now]);
+  const streak = useMemo(() => streaks(daily, now), [daily, now]);
+  const cycles = useMemo(() => cycleTimes(projects, events), [projects, events]);
+  const stages = useMemo(() => stageDurations(projects, events), [projects, events]);
+  const rows = useMemo(() => breakdown(projects, events, by), [projects, events, by]);
+
+  const weekMax = Math.max(1, ...weekly.map(w => w.count));
+  const dayMax = Math.max(1, ...calendar.flat().map(c => c.count));
+  const stageMax = Math.max(1, ...Object.values(stages).map(s => s.days || 0));
+  const perWeek = weekly.reduce((n, w) => n + w.count, 0) / weekly.length;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Card title="Completed this week" value={weekly[weekly.length - 1].count} hint={`${weekly[weekly.length - 2].count} last week`} />
+        <Card title="Weekly average" value={perWeek.toFixed(1)} hint="tasks, last 12 weeks" />
+        <Card title="Current streak" value={`${streak.current} day${streak.current === 1 ? "" : "s"}`} hint={`longest ${streak.longest}`} />
+        <Card title="Creation → done" value={days(averageDays(cycles))} hint={`average over ${cycles.length} finished project${cycles.length === 1 ? "" : "s"}`} />
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-4">
+        <div className="font-medium mb-3">Tasks completed per week</div>
+        <div className="flex items-end gap-2 h-40">
+          {weekly.map(w => (
+            <div key={w.start} className="flex-1 flex flex-col items-center justify-end h-full" title={`Week of ${short(w.start)}: ${w.count}`}>
+              <div className="text-[11px] text-slate-600">{w.count || ""}</div>
+              <div className="w-full rounded-t bg-slate-800" style={{ height: `${(w.count / weekMax) * 100}%` }} />
+              <div className="mt-1 text-[10px] text-slate-500 whitespace-nowrap">{short(w.start)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow p-4">
+        <div className="font-medium mb-3">Streak calendar</div>
+        <div className="flex gap-1 overflow-x-auto">
+          {calendar.map(week => (
+            <div key={week[0]?.day} className="flex flex-col gap-1">
+              {week.map(c => <div key={c.day} className={`w-3 h-3 rounded-sm ${shade(c.count, dayMax)}`} title={`${new Date(c.day).toLocaleDateString()}: ${c.count} completed`} />)}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-start">
+        <div className="bg-white rounded-xl shadow p-4">
+          <div className="font-medium mb-1">Time in each stage</div>
+          <div className="text-xs text-slate-500 mb-3">Average days before moving on, from the pipeline tasks' completion times.</div>
+          <div className="space-y-2">
+            {Object.entries(stages).map(([stage, s]) => (
+              <div key={stage} className="flex items-center gap-2 text-sm">
+                <span className="w-20 shrink-0">{stage}</span>
+                <div className="flex-1 h-3 bg-slate-100 rounded overflow-hidden">
+                  <div className="h-full bg-sky-500" style={{ width: `${((s.days || 0) / stageMax) * 100}%` }} />
+                </div>
+                <span className="w-28 shrink-0 text-right text-xs text-slate-600" title={`${s.projects} project${s.projects === 1 ? "" : "s"}`}>{days(s.days)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-xl shadow p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div className="font-medium">Breakdown</div>
+            <div className="flex rounded-md border overflow-hidden text-sm">
+              {BREAKDOWNS.map(([k, l]) => (
+                <button key={k} onClick={() => setBy(k)} className={`px-3 py-1 ${by === k ? "bg-black text-white" : ""}`}>{l}</button>
+              ))}
+            </div>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500">
+                <th className="font-normal pb-1">{BREAKDOWNS.find(([k]) => k === by)[1]}</th>
+                <th className="font-normal pb-1 text-right">Projects</th>
+                <th className="font-normal pb-1 text-right">Tasks completed</th>
+                <th className="font-normal pb-1 text-right">Progress</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.key} className="border-t">
+                  <td className="py-1 truncate max-w-[10rem]">{r.key}</td>
+                  <td className="py-1 text-right">{r.projects}</td>
+                  <td className="py-1 text-right">{r.completed}</td>
+                  <td className="py-1 text-right">{r.progress}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
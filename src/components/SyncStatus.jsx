@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+
+/**
+ * SyncStatus.jsx
+ * Header pill showing whether the board is in sync with the server, plus a
+ * dropdown listing failed writes with retry / dismiss.
+ *
+ * Props
+ *  - state       : "local" | "online" | "syncing" | "offline" | "error"
+ *  - pending     : number   (projects with local writes not yet acknowledged)
+ *  - persistence : "enabled" | "other-tab" | "unsupported" | "error" | null
+ *  - failed      : [{ id, label, message }]
+ *  - onRetry     : (id) => void
+ *  - onDismiss   : (id) => void
+ */
+const LOOK = {
+  local:   { dot: "bg-slate-400",   text: "Saved in this browser" },
+  online:  { dot: "bg-emerald-500", text: "Synced" },
+  syncing: { dot: "bg-amber-400 animate-pulse", text: "Syncing" },
+  offline: { dot: "bg-slate-500",   text: "Offline" },
+  error:   { dot: "bg-red-500",     text: "Sync error" },
+};
+
+const PERSISTENCE_NOTES = {
+  "other-tab": "Offline cache is in use by another tab — changes made here while offline are lost if this tab closes.",
+  unsupported: "This browser can't keep an offline cache — changes made while offline are lost on reload.",
+  error: "The offline cache failed to start — changes made while offline are lost on reload.",
+};
+
+export default function SyncStatus({ state, pending = 0, persistence = null, failed = [], onRetry, onDismiss }) {
+  const [open, setOpen] = useState(false);
+  const look = LOOK[state] || LOOK.online;
+  const note = state !== "local" ? PERSISTENCE_NOTES[persistence] : null;
+
+  let text = look.text;
+  if (state === "syncing") text = pending ? `Syncing ${pending} pending` : "Connecting…";
+  if (state === "offline" && pending) text = `Offline • ${pending} pending`;
+  if (state === "error" && failed.length) text = `${failed.length} failed`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="px-3 py-2 rounded-md bg-white border text-sm inline-flex items-center gap-2"
+        title={note || text}
+      >
+        <span className={`w-2 h-2 rounded-full ${look.dot}`} />
+        {text}
+        {note && <span className="text-amber-600">⚠</span>}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 z-40 bg-white border rounded-lg shadow-lg p-3 space-y-2 text-sm">
+          {state === "offline" && <div className="text-slate-600">You're offline. Edits are queued and sent when the connection returns.</div>}
+          {state === "syncing" && pending > 0 && <div className="text-slate-600">{pending} project{pending === 1 ? "" : "s"} waiting for the server.</div>}
+          {note && <div className="text-amber-700">{note}</div>}
+          {failed.length === 0 ? (
+            <div className="text-slate-500">No failed changes.</div>
+          ) : failed.map(w => (
+            <div key={w.id} className="border rounded p-2">
+              <div className="font-medium truncate">{w.label}</div>
+              <div className="text-xs text-red-600 line-clamp-2">{w.message}</div>
+              <div className="mt-1 space-x-2">
+                <button onClick={() => onRetry(w.id)} className="px-2 py-1 rounded bg-black text-white text-xs">Retry</button>
+                <button onClick={() => onDismiss(w.id)} className="px-2 py-1 rounded bg-slate-200 text-xs">Dismiss</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { blankTemplate, normalizeTemplate, validateTemplate } from "../lib/templates";
+
+/**
+ * TemplateManager.jsx
+ * Create, edit and delete workflow templates (see lib/templates.js).
+ *
+ * Props
+ *  - templates : [{ id, name, tasks[], type, emoji, color, priority }]
+ *  - onSave    : (template) => void
+ *  - onDelete  : (id) => void
+ *  - onClose   : () => void
+ */
+const PRIORITIES = [[3, "High"], [2, "Medium"], [1, "Low"], [0, "None"]];
+
+export default function TemplateManager({ templates = [], onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState(() => templates[0] ? { ...templates[0], text: templates[0].tasks.join("\n") } : null);
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const pick = (t) => setDraft({ ...t, text: t.tasks.join("\n") });
+  const fields = draft && { ...draft, tasks: draft.text.split("\n") }; // normalizeTemplate drops `text`
+  const errors = fields ? validateTemplate(fields) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold">📋 Templates</div>
+        <div className="space-x-2">
+          <button onClick={() => pick(blankTemplate())} className="px-3 py-2 rounded bg-slate-200">+ New template</button>
+          <button onClick={onClose} className="px-3 py-2 rounded bg-slate-200">Close</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-start">
+        <div className="space-y-1">
+          {templates.map(t => (
+            <button key={t.id} onClick={() => pick(t)} className={`w-full text-left px-3 py-2 rounded border ${draft?.id === t.id ? "bg-slate-900 text-white" : "bg-white"}`}>
+              {t.emoji} {t.name} <span className="text-xs opacity-60">• {t.tasks.length} tasks</span>
+            </button>
+          ))}
+          {!templates.length && <div className="text-sm text-slate-500">No templates yet.</div>}
+        </div>
+
+        {draft && (
+          <div className="md:col-span-2 bg-slate-50 rounded-xl p-3 space-y-3">
+            <div className="flex gap-2">
+              <input value={draft.emoji} onChange={e => set({ emoji: e.target.value })} className="w-12 text-2xl text-center border rounded" />
+              <input value={draft.name} onChange={e => set({ name: e.target.value })} placeholder="Template name" className="flex-1 px-3 py-2 border rounded" />
+              <input type="color" value={draft.color} onChange={e => set({ color: e.target.value })} className="h-11 w-12 rounded" />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="text-sm">Default type
+                <input value={draft.type} onChange={e => set({ type: e.target.value })} placeholder="Single, EP, Beat…" className="mt-1 w-full border rounded p-2" />
+              </label>
+              <label className="text-sm">Priority
+                <select value={draft.priority} onChange={e => set({ priority: Number(e.target.value) })} className="mt-1 w-full border rounded p-2">
+                  {PRIORITIES.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+                </select>
+              </label>
+            </div>
+            <label className="block text-sm">Tasks, in order (one per line)
+              <textarea value={draft.text} onChange={e => set({ text: e.target.value })} rows={8} className="mt-1 w-full border rounded p-2 font-mono text-sm" />
+            </label>
+            {errors.length > 0 && <div className="text-sm text-red-700">Template {errors.join("; ")}</div>}
+            <div className="space-x-2">
+              <button disabled={errors.length > 0} onClick={() => onSave(normalizeTemplate(fields))} className="px-3 py-2 rounded bg-black text-white disabled:opacity-50">Save template</button>
+              {templates.some(t => t.id === draft.id) && (
+                <button onClick={() => { onDelete(draft.id); setDraft(null); }} className="px-3 py-2 rounded bg-red-600 text-white">Delete</button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useMemo, useState } from "react";
+import { projectSpan, timelineRange, fraction, monthTicks } from "../lib/timeline";
+
+/**
+ * TimelineView.jsx
+ * Gantt-style board: one bar per project from creation to release, task due
+ * dates as milestones, a "today" line, rows grouped by the project's group.
+ *
+ * Props
+ *  - projects : projects to show (already searched/sorted by the board)
+ *  - onOpen   : (id, event) => void   (opens the editor, like clicking a brick)
+ */
+const pct = (v) => `${(v * 100).toFixed(3)}%`;
+const day = (ms) => new Date(ms).toLocaleDateString();
+
+export default function TimelineView({ projects, onOpen }) {
+  const [now] = useState(() => Date.now()); // fixed while the view is open
+  const rows = useMemo(() => projects.map(p => ({ p, span: projectSpan(p, now) })), [projects, now]);
+  const range = useMemo(() => timelineRange(rows.map(r => r.span), now), [rows, now]);
+  const ticks = useMemo(() => monthTicks(range), [range]);
+  const lanes = useMemo(() => {
+    const map = new Map();
+    for (const r of rows) {
+      const key = r.p.group || "Ungrouped";
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(r);
+    }
+    return [...map.entries()].sort(([a], [b]) => (a === "Ungrouped") - (b === "Ungrouped") || a.localeCompare(b));
+  }, [rows]);
+  const today = fraction(range, now);
+
+  return (
+    <div className="bg-white rounded-xl shadow p-3 overflow-x-auto">
+      <div className="min-w-[720px]">
+        {/* month axis */}
+        <div className="flex">
+          <div className="w-48 shrink-0" />
+          <div className="relative flex-1 h-6 border-b text-[11px] text-slate-500">
+            {ticks.map(t => (
+              <span key={t.at} className="absolute -translate-x-1/2" style={{ left: pct(fraction(range, t.at)) }}>{t.label}</span>
+            ))}
+          </div>
+        </div>
+
+        {lanes.map(([group, items]) => (
+          <div key={group} className="mt-3">
+            <div className="text-sm font-medium text-slate-600 mb-1">{group}</div>
+            {items.map(({ p, span }) => {
+              const left = fraction(range, span.start), right = fraction(range, span.end);
+              return (
+                <div key={p.id} className="flex items-center h-9">
+                  <button onClick={(e) => onOpen(p.id, e)} className="w-48 shrink-0 truncate text-left text-sm pr-2 hover:underline">
+                    {p.emoji} {p.name}
+                  </button>
+                  <div className="relative flex-1 h-full">
+                    {ticks.map(t => <div key={t.at} className="absolute inset-y-0 border-l border-slate-100" style={{ left: pct(fraction(range, t.at)) }} />)}
+                    <div
+                      onClick={(e) => onOpen(p.id, e)}
+                      title={`${p.name}: ${day(span.start)} → ${span.open ? "no release date" : day(span.end)}`}
+                      className={`absolute top-2 h-5 rounded cursor-pointer shadow-sm hover:brightness-110 ${span.open ? "opacity-50 border border-dashed border-slate-700" : ""}`}
+                      style={{ left: pct(left), width: pct(Math.max(right - left, 0.004)), background: p.color }}
+                    />
+                    {span.milestones.map(m => (
+                      <div
+                        key={m.id}
+                        title={`${m.title} • due ${day(m.at)}${m.done ? " ✔" : ""}`}
+                        className={`absolute top-3 w-3 h-3 rotate-45 -translate-x-1/2 border border-white ${m.done ? "bg-emerald-500" : m.at < now ? "bg-red-500" : "bg-slate-800"}`}
+                        style={{ left: pct(fraction(range, m.at)) }}
+                      />
+                    ))}
+                    {span.release != null && (
+                      <div className="absolute top-0.5 -translate-x-1/2 text-sm" style={{ left: pct(fraction(range, span.release)) }} title={`Release ${day(span.release)}`}>🚀</div>
+                    )}
+                    <div className="absolute inset-y-0 w-px bg-red-500" style={{ left: pct(today) }} />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+        <div className="flex mt-2 text-[11px] text-slate-500">
+          <div className="w-48 shrink-0" />
+          <div className="relative flex-1"><span className="absolute -translate-x-1/2 text-red-600" style={{ left: pct(today) }}>today</span></div>
+        </div>
+      </div>
+    </div>
+  );
+}
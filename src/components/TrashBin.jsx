@@ -0,0 +1,73 @@
+import React from "react";
+
+/**
+ * TrashBin.jsx
+ * Lists soft-deleted projects with restore / delete-forever actions.
+ *
+ * Props
+ *  - items             : trashed projects (each has deletedAt in ms)
+ *  - retentionDays     : number   (items older than this are purged automatically)
+ *  - onRetentionChange : (days) => void
+ *  - onRestore         : (id) => void
+ *  - onPurge           : (id) => void   (permanent delete)
+ *  - canPurge          : (project) => boolean   (only owners can delete a shared project for good)
+ *  - onClose           : () => void
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_CHOICES = [7, 14, 30, 90];
+
+export default function TrashBin({ items = [], retentionDays, onRetentionChange, onRestore, onPurge, canPurge = () => true, onClose }) {
+  const daysLeft = (p) => Math.max(0, Math.ceil((p.deletedAt + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+  const purgeable = items.filter(canPurge);
+
+  const emptyTrash = () => {
+    if (!purgeable.length || !window.confirm(`Permanently delete ${purgeable.length} project${purgeable.length === 1 ? "" : "s"}?`)) return;
+    purgeable.forEach(p => onPurge(p.id));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-lg font-semibold">🗑️ Trash</div>
+        <div className="space-x-2">
+          <button disabled={!purgeable.length} onClick={emptyTrash} className="px-3 py-2 rounded bg-red-600 text-white disabled:opacity-50">Empty trash</button>
+          <button onClick={onClose} className="px-3 py-2 rounded bg-slate-200">Close</button>
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-slate-600">
+        Keep deleted projects for
+        <select value={retentionDays} onChange={e => onRetentionChange(Number(e.target.value))} className="border rounded p-1 bg-white">
+          {RETENTION_CHOICES.map(d => <option key={d} value={d}>{d} days</option>)}
+        </select>
+      </label>
+
+      {items.length === 0 ? (
+        <div className="text-center py-10 text-slate-500">Trash is empty.</div>
+      ) : (
+        <div className="space-y-2">
+          {items.map(p => (
+            <div key={p.id} className="flex items-center gap-3 bg-slate-50 rounded-md p-2 border">
+              <span className="text-2xl">{p.emoji}</span>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium truncate">{p.name}</div>
+                <div className="text-xs text-slate-500">
+                  Deleted {new Date(p.deletedAt).toLocaleDateString()} • removed for good in {daysLeft(p)} day{daysLeft(p) === 1 ? "" : "s"}
+                </div>
+              </div>
+              <button onClick={() => onRestore(p.id)} className="px-2 py-1 rounded bg-slate-200">Restore</button>
+              {canPurge(p) && (
+                <button
+                  onClick={() => { if (window.confirm(`Delete "${p.name}" forever?`)) onPurge(p.id); }}
+                  className="px-2 py-1 rounded bg-red-100 text-red-700"
+                >
+                  Delete forever
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * activity.js
+ * Append-only per-project history. Entries live in project.activity and are
+ * never edited; tasks additionally carry createdAt / doneAt / firstDoneAt (ms).
+ * The log keeps the newest entries only (see nextActivity), so the project doc
+ * stays well under the 1 MiB document limit and the cap in firestore.rules;
+ * anything that must outlive it (first completion times for stats) is stamped
+ * on the task itself.
+ *
+ * Entry shape
+ *  { id, at (ms), by (email/"Guest"), type, ...details }
+ *  type: "created" | "task.created" | "task.completed" | "task.reopened" | "task.renamed"
+ *        | "task.removed" | "field" (field, from, to) | "reordered" | "deleted" | "restored"
+ */
+
+// project fields worth a history line (tasks/links/activity are handled separately or skipped)
+const LOGGED_FIELDS = ["name", "type", "note", "emoji", "color", "accent", "label", "group", "priority"];
+
+// once the log would pass ACTIVITY_LIMIT it is cut back to the newest ACTIVITY_KEEP, so the
+// whole-array rewrite happens once every few dozen entries rather than on every write
+export const ACTIVITY_LIMIT = 300;
+export const ACTIVITY_KEEP = 250;
+
+const clip = (v) => (typeof v === "string" && v.length > 60 ? v.slice(0, 57) + "…" : v ?? null);
+
+export function makeEntry(type, details, { at = Date.now(), by = null } = {}) {
+  return { id: crypto.randomUUID(), at, by, type, ...details };
+}
+
+// give new tasks a createdAt, keep doneAt in step with done and remember the first completion
+export function stampTasks(prevTasks = [], nextTasks = [], at = Date.now()) {
+  const prev = new Map(prevTasks.map(t => [t.id, t]));
+  return nextTasks.map(t => {
+    const old = prev.get(t.id);
+    const createdAt = t.createdAt ?? old?.createdAt ?? at;
+    if (t.done && !old?.done) {
+      const doneAt = !old && t.doneAt ? t.doneAt : at; // imported tasks keep theirs
+      return { ...t, createdAt, doneAt, firstDoneAt: t.firstDoneAt ?? old?.firstDoneAt ?? doneAt };
+    }
+    if (!t.done && t.doneAt) return { ...t, createdAt, doneAt: null };
+    return t.createdAt === createdAt ? t : { ...t, createdAt };
+  });
+}
+
+// history entries describing what `patch` changes on `project`
+export function diffActivity(project = {}, patch = {}, meta) {
+  const out = [];
+  if ("tasks" in patch) {
+    const before = new Map((project.tasks || []).map(t => [t.id, t]));
+    const after = new Set();
+    for (const t of patch.tasks || []) {
+      after.add(t.id);
+      const old = before.get(t.id);
+      if (!old) out.push(makeEntry("task.created", { taskId: t.id, title: t.title }, meta));
+      else {
+        if (!!old.done !== !!t.done) out.push(makeEntry(t.done ? "task.completed" : "task.reopened", { taskId: t.id, title: t.title }, meta));
+        if (old.title !== t.title) out.push(makeEntry("task.renamed", { taskId: t.id, from: clip(old.title), to: clip(t.title) }, meta));
+      }
+    }
+    for (const [id, t] of before) if (!after.has(id)) out.push(makeEntry("task.removed", { taskId: id, title: t.title }, meta));
+  }
+  if ("order" in patch && patch.order !== project.order) out.push(makeEntry("reordered", { from: project.order ?? null, to: patch.order }, meta));
+  if ("deletedAt" in patch && !!patch.deletedAt !== !!project.deletedAt) out.push(makeEntry(patch.deletedAt ? "deleted" : "restored", {}, meta));
+  for (const field of LOGGED_FIELDS) {
+    if (field in patch && patch[field] !== project[field] && (patch[field] || project[field])) {
+      out.push(makeEntry("field", { field, from: clip(project[field]), to: clip(patch[field]) }, meta));
+    }
+  }
+  return out;
+}
+
+// value for the `activity` field once `entries` are added to `log` (undefined: leave the field alone).
+// Appended in place (append = repo.append) until the log is full, then rewritten with the newest entries.
+export function nextActivity(log = [], entries = [], append) {
+  if (log.length + entries.length > ACTIVITY_LIMIT) return [...log, ...entries].slice(-ACTIVITY_KEEP);
+  return entries.length ? append(...entries) : undefined;
+}
+
+// one-line description for the timeline
+export function describeEntry(e) {
+  switch (e.type) {
+    case "created": return "Project created";
+    case "task.created": return `Added task '${e.title}'`;
+    case "task.completed": return `Completed '${e.title}'`;
+    case "task.reopened": return `Reopened '${e.title}'`;
+    case "task.renamed": return `Renamed task '${e.from}' → '${e.to}'`;
+    case "task.removed": return `Removed task '${e.title}'`;
+    case "reordered": return "Moved on the board";
+    case "deleted": return "Moved to trash";
+    case "restored": return "Restored from trash";
+    case "field": return `Changed ${e.field}${e.to !== null && e.to !== "" ? ` to ${JSON.stringify(e.to)}` : " (cleared)"}`;
+    default: return e.type;
+  }
+}
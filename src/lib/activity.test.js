@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { ACTIVITY_KEEP, ACTIVITY_LIMIT, diffActivity, nextActivity, stampTasks } from "./activity";
+
+const append = (...items) => ({ append: items });
+const log = (n) => Array.from({ length: n }, (_, i) => ({ id: String(i) }));
+
+describe("nextActivity", () => {
+  it("appends while the log has room", () => {
+    expect(nextActivity(log(3), [{ id: "x" }], append)).toEqual({ append: [{ id: "x" }] });
+    expect(nextActivity(log(3), [], append)).toBeUndefined();
+  });
+
+  it("cuts a full log back to its newest entries", () => {
+    const next = nextActivity(log(ACTIVITY_LIMIT), [{ id: "x" }], append);
+    expect(next).toHaveLength(ACTIVITY_KEEP);
+    expect(next.at(-1)).toEqual({ id: "x" });
+    expect(next[0]).toEqual({ id: String(ACTIVITY_LIMIT + 1 - ACTIVITY_KEEP) });
+  });
+
+  it("trims an oversized log even when there is nothing to add", () => {
+    expect(nextActivity(log(ACTIVITY_LIMIT + 1), [], append)).toHaveLength(ACTIVITY_KEEP);
+  });
+});
+
+describe("stampTasks", () => {
+  it("keeps the first completion time when a task is reopened and done again", () => {
+    const [done] = stampTasks([{ id: "t", done: false }], [{ id: "t", done: true }], 10);
+    expect(done).toMatchObject({ doneAt: 10, firstDoneAt: 10, createdAt: 10 });
+    const [open] = stampTasks([done], [{ ...done, done: false }], 20);
+    expect(open).toMatchObject({ doneAt: null, firstDoneAt: 10 });
+    const [again] = stampTasks([open], [{ ...open, done: true }], 30);
+    expect(again).toMatchObject({ doneAt: 30, firstDoneAt: 10 });
+  });
+});
+
+describe("diffActivity", () => {
+  it("describes task and field changes", () => {
+    const before = { name: "A", tasks: [{ id: "t", title: "Mix", done: false }] };
+    const types = diffActivity(before, { name: "B", tasks: [{ id: "t", title: "Mix", done: true }, { id: "u", title: "Master" }] }).map(e => e.type);
+    expect(types).toEqual(["task.completed", "task.created", "field"]);
+  });
+});
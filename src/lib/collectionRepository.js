@@ -0,0 +1,61 @@
+import { collection, doc, onSnapshot, setDoc, deleteDoc, writeBatch } from "firebase/firestore";
+
+/**
+ * collectionRepository.js
+ * Where small per-user collections live: workflow templates (lib/templates.js)
+ * and project groups (lib/groups.js). Same idea as projectRepository.js, with a
+ * smaller interface:
+ *  - subscribe(cb) : cb(items[], { fromCache }) sorted by name; returns unsubscribe
+ *  - put(item)     : create or overwrite (keyed by item.id)
+ *  - putMany(list) : several put()s in one batch
+ *  - remove(id)
+ *  - stage(item)   : a put() to hand to projectRepository putMany/updateMany(list, staged),
+ *                    which commits it in the same batch as the projects
+ */
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// --- Firestore: users/{uid}/<name>/{id} ---
+export function createFirestoreCollectionRepository(db, uid, name) {
+  const path = `users/${uid}/${name}`;
+  return {
+    subscribe(cb) {
+      // metadata changes too, so the switch from cached to server data is seen even when no doc changed
+      return onSnapshot(collection(db, path), { includeMetadataChanges: true }, snap => cb(snap.docs.map(d => d.data()).sort(byName), { fromCache: snap.metadata.fromCache }));
+    },
+    put: (item) => setDoc(doc(db, `${path}/${item.id}`), item),
+    async putMany(list) {
+      const batch = writeBatch(db);
+      list.forEach(item => batch.set(doc(db, `${path}/${item.id}`), item));
+      await batch.commit();
+    },
+    remove: (id) => deleteDoc(doc(db, `${path}/${id}`)),
+    stage: (item) => (batch) => batch.set(doc(db, `${path}/${item.id}`), item),
+  };
+}
+
+// --- In memory, optionally persisted (guest mode: localStorage) ---
+export function createMemoryCollectionRepository({ initial = [], persist } = {}) {
+  let items = initial.slice();
+  const listeners = new Set();
+  const META = { fromCache: false };
+  const commit = (next) => {
+    items = next.sort(byName);
+    persist?.(items);
+    listeners.forEach(cb => cb(items.slice(), META));
+  };
+  return {
+    subscribe(cb) {
+      listeners.add(cb);
+      cb(items.slice().sort(byName), META);
+      return () => { listeners.delete(cb); };
+    },
+    async put(item) { commit([...items.filter(x => x.id !== item.id), item]); },
+    async putMany(list) {
+      const ids = new Set(list.map(x => x.id));
+      commit([...items.filter(x => !ids.has(x.id)), ...list]);
+    },
+    async remove(id) { commit(items.filter(x => x.id !== id)); },
+    stage: (item) => () => commit([...items.filter(x => x.id !== item.id), item]),
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * dates.js
+ * Due dates are calendar days stored as "YYYY-MM-DD" (tasks: dueDate, projects:
+ * releaseDate; null when unset), compared in the user's local time zone, so
+ * "due today" means today wherever the user is.
+ */
+
+export const DUE_SOON_DAYS = 3;
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const localMidnight = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+
+// "YYYY-MM-DD" → ms at local midnight (null when unset)
+export function dateToMs(iso) {
+  if (!iso || !ISO_DATE.test(iso)) return null;
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
+
+// whole days from today to `iso` (0 = today, negative = past); null when unset
+export function daysUntil(iso, now = new Date()) {
+  const at = dateToMs(iso);
+  return at == null ? null : Math.round((at - localMidnight(now)) / DAY_MS);
+}
+
+// "overdue" | "soon" | null for an open task
+export function dueState(t, now = new Date()) {
+  if (t.done) return null;
+  const days = daysUntil(t.dueDate, now);
+  if (days == null) return null;
+  return days < 0 ? "overdue" : days <= DUE_SOON_DAYS ? "soon" : null;
+}
+
+// earliest date that still matters for a project: open task due dates and the release; null if none
+export function nextDeadline(p) {
+  const dates = [p.releaseDate, ...(p.tasks || []).filter(t => !t.done).map(t => t.dueDate)].filter(d => d && ISO_DATE.test(d));
+  return dates.length ? dates.sort()[0] : null;
+}
+
+// "Release in 12 days" / "Release today" / "Released 3 days ago"
+export function releaseLabel(iso, now = new Date()) {
+  const days = daysUntil(iso, now);
+  if (days == null) return null;
+  const n = (k) => `${k} day${k === 1 ? "" : "s"}`;
+  if (days === 0) return "Release today";
+  return days > 0 ? `Release in ${n(days)}` : `Released ${n(-days)} ago`;
+}
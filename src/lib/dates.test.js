@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { daysUntil, dueState, nextDeadline, releaseLabel } from "./dates";
+
+const now = new Date(2025, 0, 1, 15);
+
+describe("dueState", () => {
+  it("flags open tasks that are overdue or due soon", () => {
+    expect(dueState({ done: false, dueDate: "2024-12-31" }, now)).toBe("overdue");
+    expect(dueState({ done: false, dueDate: "2025-01-03" }, now)).toBe("soon");
+    expect(dueState({ done: false, dueDate: "2025-02-01" }, now)).toBeNull();
+    expect(dueState({ done: true, dueDate: "2024-12-31" }, now)).toBeNull();
+  });
+});
+
+describe("releaseLabel", () => {
+  it("counts local calendar days", () => {
+    expect(daysUntil("2025-01-01", now)).toBe(0);
+    expect(releaseLabel("2025-01-13", now)).toBe("Release in 12 days");
+    expect(releaseLabel("2025-01-01", now)).toBe("Release today");
+    expect(releaseLabel("2024-12-31", now)).toBe("Released 1 day ago");
+  });
+});
+
+describe("nextDeadline", () => {
+  it("ignores done tasks", () => {
+    expect(nextDeadline({ releaseDate: "2025-03-01", tasks: [{ done: true, dueDate: "2025-01-05" }, { done: false, dueDate: "2025-02-01" }] })).toBe("2025-02-01");
+    expect(nextDeadline({ tasks: [] })).toBeNull();
+  });
+});
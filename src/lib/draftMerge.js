@@ -0,0 +1,87 @@
+/**
+ * draftMerge.js
+ * Three-way merge for the project editor. The editor keeps `base` (the stored
+ * copy its draft started from); when a newer copy (`theirs`) arrives:
+ *  - fields the user hasn't touched take the new value,
+ *  - fields only the user changed keep the draft value,
+ *  - fields both sides changed differently keep the draft value and are
+ *    reported as conflicts (the editor offers keep mine / take theirs, where
+ *    "theirs" is simply the field from the stored copy).
+ * Tasks merge per task id, so a checkbox ticked in another tab doesn't collide
+ * with a title typed here; only the same task property changed on both sides
+ * makes "tasks" a conflict. Subtasks merge the same way inside their parent. Everything that isn't editable (order, activity,
+ * timestamps, sharing, ...) always follows the stored copy.
+ */
+
+export const EDITABLE_FIELDS = ["emoji", "name", "priority", "type", "note", "color", "accent", "label", "group", "groupId", "stage", "releaseDate", "tasks", "links"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// fields of `draft` that differ from `base`
+export function dirtyFields(base, draft) {
+  if (!base || !draft) return [];
+  return EDITABLE_FIELDS.filter(f => !same(base[f], draft[f]));
+}
+
+// { id, ...changed fields } for saving only what the user edited
+export function dirtyPatch(base, draft) {
+  return Object.fromEntries([["id", draft.id], ...dirtyFields(base, draft).map(f => [f, draft[f]])]);
+}
+
+// three-way merge of one task's properties (mine wins a clash)
+function mergeTask(base, mine, theirs) {
+  const out = { ...theirs };
+  let clash = false;
+  for (const k of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    const b = base?.[k], m = mine[k], t = theirs[k];
+    if (same(m, b) || same(m, t)) continue; // untouched here, or both agree
+    if (k === "subtasks") {
+      const r = mergeTaskLists(b, m, t);
+      out[k] = r.tasks; clash ||= r.clash;
+      continue;
+    }
+    if (same(t, b)) { out[k] = m; continue; } // only changed here
+    clash = true;
+    out[k] = m;
+  }
+  return { task: out, clash };
+}
+
+// tasks keyed by id: additions from either side are kept, a removal wins unless the other side edited the task
+function mergeTaskLists(base = [], mine = [], theirs = []) {
+  const byId = (list) => new Map(list.map(t => [t.id, t]));
+  const b = byId(base), m = byId(mine), t = byId(theirs);
+  let clash = false;
+  const pick = (id) => {
+    const bt = b.get(id), mt = m.get(id), tt = t.get(id);
+    if (mt && tt) { const r = mergeTask(bt, mt, tt); clash ||= r.clash; return r.task; }
+    if (!bt) return mt || tt; // added on one side
+    if (!mt) return tt && !same(tt, bt) ? tt : null; // removed here (kept if they edited it)
+    return !same(mt, bt) ? mt : null; // removed there (kept if edited here)
+  };
+  // the order of whichever side rearranged tasks (mine if both), then tasks only the other side has
+  const ids = (list) => list.map(x => x.id);
+  const [first, second] = same(ids(mine).filter(id => b.has(id)), ids(base).filter(id => m.has(id))) ? [theirs, mine] : [mine, theirs];
+  const firstIds = new Set(ids(first));
+  const order = [...ids(first), ...ids(second).filter(id => !firstIds.has(id))];
+  return { tasks: order.map(pick).filter(Boolean), clash };
+}
+
+// → { draft, conflicts: [field] }
+export function rebaseDraft(base, draft, theirs) {
+  const next = { ...theirs };
+  const conflicts = [];
+  for (const f of EDITABLE_FIELDS) {
+    const b = base?.[f], m = draft[f], t = theirs[f];
+    if (same(m, b)) continue; // untouched → theirs (already in next)
+    if (f === "tasks") {
+      const merged = mergeTaskLists(b, m, t);
+      next.tasks = merged.tasks;
+      if (merged.clash) conflicts.push(f);
+      continue;
+    }
+    next[f] = m;
+    if (!same(t, b) && !same(t, m)) conflicts.push(f);
+  }
+  return { draft: next, conflicts };
+}
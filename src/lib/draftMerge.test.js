@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { dirtyPatch, rebaseDraft } from "./draftMerge";
+
+const base = { name: "A", tasks: [{ id: "a", title: "Mix", done: false }] };
+
+describe("rebaseDraft", () => {
+  it("merges a remote task toggle into a draft with an edited title", () => {
+    const reb = rebaseDraft(base, { ...base, tasks: [{ id: "a", title: "Mixdown", done: false }] }, { name: "B", tasks: [{ id: "a", title: "Mix", done: true }] });
+    expect(reb.draft.tasks).toEqual([{ id: "a", title: "Mixdown", done: true }]);
+    expect(reb.draft.name).toBe("B");
+    expect(reb.conflicts).toEqual([]);
+  });
+
+  it("reports a field changed differently on both sides", () => {
+    const reb = rebaseDraft(base, { ...base, name: "C" }, { ...base, name: "B" });
+    expect(reb.conflicts).toEqual(["name"]);
+    expect(reb.draft.name).toBe("C");
+  });
+
+  it("keeps a remote task reorder", () => {
+    const two = { tasks: [{ id: "a", title: "Mix" }, { id: "b", title: "Master" }] };
+    const moved = rebaseDraft(two, { tasks: [{ id: "a", title: "Mixdown" }, two.tasks[1]] }, { tasks: [two.tasks[1], two.tasks[0]] });
+    expect(moved.draft.tasks.map(t => t.id)).toEqual(["b", "a"]);
+    expect(moved.draft.tasks[1].title).toBe("Mixdown");
+  });
+});
+
+describe("dirtyPatch", () => {
+  it("holds only the edited fields", () => {
+    expect(dirtyPatch({ id: "p", ...base }, { id: "p", ...base, name: "B" })).toEqual({ id: "p", name: "B" });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * exporters.js
+ * Board → file text. Each exporter takes sections [[title, projects[]], ...]
+ * (the same shape App uses for grouping), so an export can mirror the current
+ * filtered/grouped view or cover everything as a single "All" section.
+ * JSON can also carry the user's templates ({ templates } option).
+ */
+
+const PRIORITY = ["None", "Low", "Med", "High"];
+
+export const FORMATS = [
+  { value: "json", label: "JSON (backup / re-import)", ext: "json", type: "application/json" },
+  { value: "csv", label: "CSV (one row per task)", ext: "csv", type: "text/csv" },
+  { value: "md", label: "Markdown checklist", ext: "md", type: "text/markdown" },
+  { value: "ics", label: "Calendar (.ics)", ext: "ics", type: "text/calendar" },
+];
+
+const flat = (sections) => sections.flatMap(([, items]) => items);
+
+export function toJSON(sections, { templates } = {}) {
+  return JSON.stringify({ projects: flat(sections), ...(templates ? { templates } : {}) }, null, 2);
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+};
+
+export function toCSV(sections) {
+  const header = ["project", "group", "label", "type", "priority", "release", "task", "done", "subtasks", "due", "effort"];
+  const rows = flat(sections).flatMap(p => {
+    const base = [p.name, p.group, p.label, p.type, PRIORITY[p.priority], p.releaseDate];
+    const steps = (t) => t.subtasks?.length ? `${t.subtasks.filter(s => s.done).length}/${t.subtasks.length}` : "";
+    return p.tasks.length ? p.tasks.map(t => [...base, t.title, t.done ? "yes" : "no", steps(t), t.dueDate, t.effort]) : [[...base, "", "", "", "", ""]];
+  });
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function toMarkdown(sections) {
+  const grouped = sections.length > 1 || sections[0]?.[0] !== "All";
+  const out = [];
+  for (const [title, items] of sections) {
+    if (grouped) out.push(`# ${title}`, "");
+    for (const p of items) {
+      out.push(`## ${p.emoji} ${p.name}`);
+      const meta = [p.type, p.label && `🏷️ ${p.label}`, `Priority: ${PRIORITY[p.priority]}`, p.releaseDate && `🚀 ${p.releaseDate}`].filter(Boolean).join(" • ");
+      out.push(meta);
+      if (p.note) out.push("", `> ${p.note.replaceAll("\n", "\n> ")}`);
+      out.push("");
+      p.tasks.forEach(t => {
+        out.push(`- [${t.done ? "x" : " "}] ${t.title}${t.dueDate ? ` (due ${t.dueDate})` : ""}`);
+        (t.subtasks || []).forEach(s => out.push(`  - [${s.done ? "x" : " "}] ${s.title}`));
+      });
+      p.links.forEach(l => out.push(`- 🔗 [${l.label || "Link"}](${l.url})`));
+      out.push("");
+    }
+  }
+  return out.join("\n");
+}
+
+// --- iCalendar: all-day events for project release dates and task due dates ("YYYY-MM-DD") ---
+const icsText = (s) => String(s).replace(/[\\;,]/g, m => "\\" + m).replace(/\n/g, "\\n");
+const icsDate = (iso) => iso.replaceAll("-", "");
+const utf8 = new TextEncoder();
+// RFC 5545 3.1: lines over 75 octets go on as CRLF + space + the rest (the space counts),
+// split between characters, never inside one
+const fold = (line) => {
+  const out = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = utf8.encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; size = 0; }
+    cur += ch; size += n;
+  }
+  return [...out, cur].join("\r\n ");
+};
+const nextDay = (iso) => { const d = new Date(iso + "T00:00:00Z"); d.setUTCDate(d.getUTCDate() + 1); return d.toISOString().slice(0, 10); };
+
+// [{ uid, date, summary, description }]
+export function calendarEvents(sections) {
+  const events = [];
+  for (const p of flat(sections)) {
+    if (p.releaseDate) events.push({ uid: `release-${p.id}`, date: p.releaseDate, summary: `🚀 Release: ${p.name}`, description: p.note || "" });
+    for (const t of p.tasks) {
+      if (t.dueDate) events.push({ uid: `task-${p.id}-${t.id}`, date: t.dueDate, summary: `${t.done ? "✔ " : ""}${t.title} (${p.name})`, description: "" });
+    }
+  }
+  return events;
+}
+
+export function toICS(sections, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//BeatBricks//Project Board//EN", "CALSCALE:GREGORIAN"];
+  for (const e of calendarEvents(sections)) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}@beatbricks`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(e.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(nextDay(e.date))}`,
+      `SUMMARY:${icsText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${icsText(e.description)}`] : []),
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+const RENDER = { json: toJSON, csv: toCSV, md: toMarkdown, ics: (sections) => toICS(sections) }; // options are JSON-only
+
+export function exportBoard(format, sections, options) {
+  return RENDER[format](sections, options);
+}
+
+// browser download of a text file
+export function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
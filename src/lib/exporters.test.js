@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { calendarEvents, toCSV, toICS, toMarkdown } from "./exporters";
+
+const project = (over) => ({ id: "p", name: "Song", emoji: "🎤", type: "Single", label: "", group: "", priority: 3, releaseDate: null, note: "", tasks: [], links: [], ...over });
+
+const song = project({
+  name: 'Hello, "World"',
+  note: "line one\nline two",
+  releaseDate: "2026-03-01",
+  tasks: [
+    { id: "a", title: "Mix\nand master", done: true, dueDate: "2026-02-20", effort: 2, subtasks: [{ title: "Bounce", done: true }, { title: "Check", done: false }] },
+    { id: "b", title: "Art", done: false, dueDate: null, effort: null },
+  ],
+  links: [{ label: "Stems", url: "https://example.com/stems" }],
+});
+
+describe("toCSV", () => {
+  const rows = toCSV([["All", [song, project({ id: "q", name: "Empty" })]]]).split("\r\n");
+
+  it("writes one row per task and one for a project without tasks", () => {
+    expect(rows[0]).toBe("project,group,label,type,priority,release,task,done,subtasks,due,effort");
+    expect(rows[2]).toBe('"Hello, ""World""",,,Single,High,2026-03-01,Art,no,,,');
+    expect(rows[3]).toBe("Empty,,,Single,High,,,,,,");
+    expect(rows[4]).toBe("");
+  });
+
+  it("quotes cells with commas, quotes and newlines", () => {
+    expect(rows[1]).toBe('"Hello, ""World""",,,Single,High,2026-03-01,"Mix\nand master",yes,1/2,2026-02-20,2');
+  });
+});
+
+describe("toMarkdown", () => {
+  it("adds a heading per section unless it's the single All section", () => {
+    const grouped = toMarkdown([["Album", [song]], ["Demos", [project({ id: "q", name: "Sketch" })]]]);
+    expect(grouped.split("\n").filter(l => l.startsWith("# "))).toEqual(["# Album", "# Demos"]);
+    expect(toMarkdown([["All", [song]]])).not.toMatch(/^# /m);
+  });
+
+  it("lists tasks, subtasks, notes and links", () => {
+    const md = toMarkdown([["All", [song]]]);
+    expect(md).toContain("Single • Priority: High • 🚀 2026-03-01");
+    expect(md).toContain("> line one\n> line two");
+    expect(md).toContain("- [x] Mix\nand master (due 2026-02-20)");
+    expect(md).toContain("  - [x] Bounce\n  - [ ] Check");
+    expect(md).toContain("- 🔗 [Stems](https://example.com/stems)");
+  });
+});
+
+describe("toICS", () => {
+  const now = new Date("2026-01-02T03:04:05.678Z");
+
+  it("has an all-day event per release date and due date", () => {
+    expect(calendarEvents([["All", [song]]]).map(e => [e.uid, e.date])).toEqual([["release-p", "2026-03-01"], ["task-p-a", "2026-02-20"]]);
+    const ics = toICS([["All", [song]]], now);
+    expect(ics).toContain("DTSTAMP:20260102T030405Z\r\nDTSTART;VALUE=DATE:20260301\r\nDTEND;VALUE=DATE:20260302\r\n");
+    expect(ics).toContain("SUMMARY:✔ Mix\\nand master (Hello\\, \"World\")\r\n");
+    expect(ics).toContain("DESCRIPTION:line one\\nline two\r\n");
+    expect(ics.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+
+  it("folds lines longer than 75 octets without splitting characters", () => {
+    const long = project({ releaseDate: "2026-03-01", note: "é".repeat(100) });
+    const lines = toICS([["All", [long]]], now).split("\r\n");
+    const at = lines.findIndex(l => l.startsWith("DESCRIPTION:"));
+    const octets = (s) => new TextEncoder().encode(s).length;
+    expect(lines.slice(at, at + 4).map(octets)).toEqual([74, 75, 65, 10]);
+    expect(lines.slice(at + 1, at + 3).every(l => l.startsWith(" "))).toBe(true);
+    expect(lines.slice(at, at + 3).map((l, i) => (i ? l.slice(1) : l)).join("")).toBe(`DESCRIPTION:${"é".repeat(100)}`);
+  });
+});
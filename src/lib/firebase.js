@@ -1,11 +1,15 @@
 import { initializeApp } from "firebase/app";
-import { getAuth, GoogleAuthProvider } from "firebase/auth";
-import { getFirestore, enableIndexedDbPersistence } from "firebase/firestore";
+import { getAuth, GoogleAuthProvider, connectAuthEmulator } from "firebase/auth";
+import { getFirestore, enableIndexedDbPersistence, connectFirestoreEmulator } from "firebase/firestore";
+
+// VITE_USE_FIREBASE_EMULATORS=true → talk to `firebase emulators:start` instead of the real project
+export const emulatorsEnabled = import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true";
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || "127.0.0.1";
 
 const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY || (emulatorsEnabled ? "demo-key" : undefined),
   authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID || (emulatorsEnabled ? "demo-beatbricks" : undefined),
   appId: import.meta.env.VITE_FIREBASE_APP_ID,
   messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
 };
@@ -14,4 +18,17 @@ export const app = initializeApp(firebaseConfig);
 export const auth = getAuth(app);
 export const provider = new GoogleAuthProvider();
 export const db = getFirestore(app);
-enableIndexedDbPersistence(db).catch(() => {}); // offline cache (optional)
+if (emulatorsEnabled) {
+  // ports match the "emulators" block in firebase.json
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, emulatorHost, 8080);
+}
+// offline cache (optional); resolves to "enabled" | "other-tab" | "unsupported" | "error" for the sync indicator
+export const persistence = enableIndexedDbPersistence(db)
+  .then(() => "enabled")
+  .catch((err) => {
+    if (err.code === "failed-precondition") return "other-tab"; // another tab already holds it
+    if (err.code === "unimplemented") return "unsupported";
+    console.error("Offline persistence failed", err);
+    return "error";
+  });
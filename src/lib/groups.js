@@ -0,0 +1,82 @@
+/**
+ * groups.js
+ * Project groups (albums, EPs, ...): { id, name, emoji, color, releaseDate,
+ * description, trackIds[] }, stored per user (lib/collectionRepository.js).
+ *
+ * A project joins a group through `groupId` and keeps the group's name in
+ * `group` (so exports, search and shared copies still read a plain string).
+ * Membership lives on the project; `trackIds` only orders the tracklist, and
+ * members missing from it are listed after the ordered ones.
+ * groupRepairs() keeps both sides in line: older free-text `group` names are
+ * linked to (or create) the group of that name, and a renamed group's new name
+ * is copied to every member.
+ */
+import { ISO_DATE } from "./dates";
+import { weightedProgress } from "./tasks";
+
+const HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// names that only differ in case or spacing are the same group
+export const groupKey = (name) => String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// stable id for a group adopted from a free-text name, so two tabs adopting it agree
+function adoptedId(key) {
+  let h = 5381;
+  for (const ch of key) h = ((h * 33) ^ ch.codePointAt(0)) >>> 0;
+  return `g-${h.toString(36)}`;
+}
+
+export function blankGroup(name = "New group", id = crypto.randomUUID()) {
+  return { id, name, emoji: "💿", color: "#0ea5e9", releaseDate: null, description: "", trackIds: [] };
+}
+
+// problems with a group about to be saved ([] when usable); names must be unique
+export function validateGroup(g, groups = []) {
+  const errs = [];
+  if (!groupKey(g.name)) errs.push("needs a name");
+  else if (groups.some(x => x.id !== g.id && groupKey(x.name) === groupKey(g.name))) errs.push("name is already used by another group");
+  if (g.color != null && !HEX.test(g.color)) errs.push("color must be a hex string");
+  if (g.releaseDate != null && !ISO_DATE.test(g.releaseDate)) errs.push("release date must be YYYY-MM-DD");
+  return errs;
+}
+
+// members in tracklist order (then the rest in board order)
+export function tracklist(group, projects) {
+  const members = projects.filter(p => p.groupId === group.id).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const rank = new Map((group.trackIds || []).map((id, i) => [id, i]));
+  const at = (p) => rank.get(p.id) ?? Infinity;
+  return members.map((p, i) => [p, i]).sort(([a, i], [b, j]) => at(a) - at(b) || i - j).map(([p]) => p);
+}
+
+// every track counts the same, however many tasks it has
+export function groupProgress(tracks) {
+  if (!tracks.length) return 0;
+  return Math.round(tracks.reduce((sum, p) => sum + weightedProgress(p.tasks), 0) / tracks.length);
+}
+
+// → { created: [group], patches: [{ id, patch }] } that bring `projects` in line with `groups`
+export function groupRepairs(groups, projects) {
+  const byId = new Map(groups.map(g => [g.id, g]));
+  const byKey = new Map(groups.map(g => [groupKey(g.name), g]));
+  const created = [], patches = [];
+  for (const p of projects) {
+    const linked = p.groupId && byId.get(p.groupId);
+    if (linked) {
+      if (p.group !== linked.name) patches.push({ id: p.id, patch: { group: linked.name } });
+      continue;
+    }
+    const key = groupKey(p.group);
+    if (!key) {
+      if (p.groupId) patches.push({ id: p.id, patch: { groupId: null } });
+      continue;
+    }
+    let g = byKey.get(key);
+    if (!g) {
+      g = blankGroup(p.group.trim().replace(/\s+/g, " "), adoptedId(key));
+      byKey.set(key, g);
+      created.push(g);
+    }
+    patches.push({ id: p.id, patch: { groupId: g.id, group: g.name } });
+  }
+  return { created, patches };
+}
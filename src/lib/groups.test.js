@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { blankGroup, groupRepairs, tracklist, validateGroup } from "./groups";
+
+const albumX = { ...blankGroup("Album X", "gx"), trackIds: ["b"] };
+
+describe("groupRepairs", () => {
+  it("links names to groups, follows renames and creates missing groups", () => {
+    const fix = groupRepairs([albumX], [
+      { id: "a", group: " album  x ", groupId: null },
+      { id: "b", group: "Old name", groupId: "gx" },
+      { id: "c", group: "Demos", groupId: null },
+      { id: "d", group: "Demos", groupId: null },
+    ]);
+    expect(fix.created).toHaveLength(1);
+    expect(fix.patches).toHaveLength(4);
+    expect(fix.patches[0].patch.groupId).toBe("gx");
+    expect(fix.patches[1].patch.group).toBe("Album X");
+    expect(fix.patches[2].patch.groupId).toBe(fix.patches[3].patch.groupId);
+  });
+
+  it("has nothing to do for a consistent board", () => {
+    expect(groupRepairs([albumX], [{ id: "b", group: "Album X", groupId: "gx" }])).toEqual({ created: [], patches: [] });
+  });
+});
+
+describe("tracklist", () => {
+  it("puts listed tracks first, then the rest by board order", () => {
+    const tracks = tracklist(albumX, [{ id: "a", groupId: "gx", order: 1 }, { id: "b", groupId: "gx", order: 2 }, { id: "c", groupId: null }]);
+    expect(tracks.map(p => p.id)).toEqual(["b", "a"]);
+  });
+});
+
+describe("validateGroup", () => {
+  it("rejects empty and duplicate names", () => {
+    expect(validateGroup({ ...albumX, name: " " }, [])).not.toEqual([]);
+    expect(validateGroup({ ...blankGroup("album x", "gy") }, [albumX])).not.toEqual([]);
+    expect(validateGroup(albumX, [albumX])).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+import { migrateProject } from "./migrations";
+import { ISO_DATE } from "./dates";
+import { parseTemplates } from "./templates";
+
+/**
+ * importer.js
+ * JSON import in three steps, all pure:
+ *   parseImport(text)          → { records, errors }   (shape validation, per record)
+ *   planImport(records, board) → rows [{ status, incoming, existing }]
+ *   resolveImport(rows, picks) → projects to write (one batch, see useProjects.importProjects)
+ *
+ * status: "new" | "unchanged" | "changed" (the file's updatedAt is newer than the board's)
+ *         | "conflict" (both sides changed, or we can't tell)
+ * Conflict strategies: "skip" | "overwrite" | "keepBoth" | "mergeTasks"
+ */
+
+export const STRATEGIES = [
+  { value: "skip", label: "Skip" },
+  { value: "overwrite", label: "Overwrite" },
+  { value: "keepBoth", label: "Keep both" },
+  { value: "mergeTasks", label: "Merge tasks" },
+];
+
+const HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Firestore Timestamp, exported {seconds, nanoseconds}, or ms → ms (null if unknown)
+export function toMillis(v) {
+  if (typeof v === "number") return v;
+  if (typeof v?.toMillis === "function") return v.toMillis();
+  if (typeof v?.seconds === "number") return v.seconds * 1000 + Math.floor((v.nanoseconds || 0) / 1e6);
+  return null;
+}
+
+// problems with one raw record ([] when importable)
+export function validateRecord(r) {
+  if (!isObj(r)) return ["not an object"];
+  const errs = [];
+  if (r.id != null && typeof r.id !== "string") errs.push("id must be a string");
+  if (r.name != null && typeof r.name !== "string") errs.push("name must be a string");
+  if (r.priority != null && !(Number.isInteger(r.priority) && r.priority >= 0 && r.priority <= 3) && !/^(none|low|med|medium|high)$/i.test(String(r.priority))) errs.push("priority must be 0–3");
+  if (r.color != null && !HEX.test(r.color)) errs.push("color must be a hex string like #7c3aed");
+  if (r.stage != null && typeof r.stage !== "string") errs.push("stage must be a string");
+  if (r.groupId != null && typeof r.groupId !== "string") errs.push("groupId must be a string");
+  if (r.releaseDate != null && !ISO_DATE.test(r.releaseDate)) errs.push("releaseDate must look like 2025-06-30");
+  if (r.tasks != null) {
+    if (!Array.isArray(r.tasks)) errs.push("tasks must be an array");
+    else r.tasks.forEach((t, i) => {
+      if (typeof t === "string") return;
+      if (!isObj(t) || typeof t.title !== "string") errs.push(`task ${i + 1} needs a title`);
+      else if (t.effort != null && !(typeof t.effort === "number" && t.effort > 0)) errs.push(`task ${i + 1} has an effort that isn't a positive number`);
+      else if (t.dueDate != null && !ISO_DATE.test(t.dueDate)) errs.push(`task ${i + 1} has a dueDate that isn't YYYY-MM-DD`);
+      else if (t.subtasks != null && !(Array.isArray(t.subtasks) && t.subtasks.every(s => typeof s === "string" || (isObj(s) && typeof s.title === "string")))) errs.push(`task ${i + 1} has malformed subtasks`);
+    });
+  }
+  if (r.links != null) {
+    if (!Array.isArray(r.links)) errs.push("links must be an array");
+    else r.links.forEach((l, i) => { if (typeof l !== "string" && !(isObj(l) && typeof (l.url ?? "") === "string")) errs.push(`link ${i + 1} is malformed`); });
+  }
+  return errs;
+}
+
+// file text → valid (migrated) records + templates + a readable error per rejected entry
+export function parseImport(text) {
+  let data;
+  try { data = JSON.parse(text); } catch (err) { return { records: [], templates: [], errors: [`Not valid JSON: ${err.message}`], data: null }; }
+  const list = Array.isArray(data) ? data : data?.projects ?? (data?.templates ? [] : null);
+  if (!Array.isArray(list)) return { records: [], templates: [], errors: ['Expected { "projects": [...] } or an array of projects'], data };
+  const { templates, errors } = parseTemplates(Array.isArray(data) ? null : data.templates);
+  const records = [];
+  list.forEach((r, i) => {
+    const errs = validateRecord(r);
+    const name = isObj(r) && typeof r.name === "string" ? ` "${r.name}"` : "";
+    if (errs.length) errors.push(`Record ${i + 1}${name}: ${errs.join("; ")}`);
+    else records.push(migrateProject({ ...r, id: r.id || crypto.randomUUID() }));
+  });
+  return { records, templates, errors, data };
+}
+
+// compare what would be written with what the board has (ignoring bookkeeping fields)
+const content = (p) => JSON.stringify({ ...p, order: 0, createdAt: 0, updatedAt: 0, activity: 0, schemaVersion: 0 });
+
+export function planImport(records, board) {
+  const byId = new Map(board.map(p => [p.id, p]));
+  return records.map(incoming => {
+    const existing = byId.get(incoming.id);
+    if (!existing) return { status: "new", incoming };
+    if (content(existing) === content(incoming)) return { status: "unchanged", incoming, existing };
+    const mine = toMillis(existing.updatedAt), theirs = toMillis(incoming.updatedAt);
+    // equal times with different content: an edit we can't date, so ask
+    const status = mine != null && theirs != null && mine < theirs ? "changed" : "conflict";
+    return { status, incoming, existing };
+  });
+}
+
+// union of tasks (by id, then by title); done if done on either side
+export function mergeTasks(a = [], b = []) {
+  const out = a.map(t => ({ ...t }));
+  for (const t of b) {
+    const hit = out.find(x => x.id === t.id) || out.find(x => x.title.toLowerCase() === t.title.toLowerCase());
+    if (!hit) out.push({ ...t });
+    else if (t.done && !hit.done) Object.assign(hit, { done: true, doneAt: t.doneAt ?? hit.doneAt ?? null });
+  }
+  return out;
+}
+
+// picks: { [id]: strategy } for conflict rows (default "skip"); changed rows overwrite
+export function resolveImport(rows, picks = {}) {
+  const out = [];
+  for (const row of rows) {
+    const { status, incoming, existing } = row;
+    if (status === "new") out.push(incoming);
+    else if (status === "changed") out.push({ ...incoming, order: existing.order });
+    else if (status === "conflict") {
+      const pick = picks[incoming.id] || "skip";
+      if (pick === "overwrite") out.push({ ...incoming, order: existing.order });
+      else if (pick === "keepBoth") out.push({ ...incoming, id: crypto.randomUUID(), name: `${incoming.name} (imported)`, order: null });
+      else if (pick === "mergeTasks") out.push({ ...existing, tasks: mergeTasks(existing.tasks, incoming.tasks) });
+    }
+  }
+  return out;
+}
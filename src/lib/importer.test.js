@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { mergeTasks, parseImport, planImport, resolveImport, toMillis } from "./importer";
+import { migrateProject } from "./migrations";
+
+const board = [migrateProject({ id: "x", name: "Old", tasks: ["Draft", { title: "Mix", done: true }] })];
+
+describe("parseImport", () => {
+  it("keeps valid records and reports each rejected one", () => {
+    const imp = parseImport(JSON.stringify({ projects: [{ id: "x", name: "Old", tasks: [{ title: "Master" }] }, { name: 5 }] }));
+    expect(imp.records).toHaveLength(1);
+    expect(imp.errors).toEqual([expect.stringMatching(/^Record 2: name must be a string/)]);
+  });
+
+  it("rejects text that isn't JSON", () => {
+    expect(parseImport("{").errors[0]).toMatch(/^Not valid JSON/);
+  });
+});
+
+describe("planImport / resolveImport", () => {
+  const imp = parseImport(JSON.stringify({ projects: [{ id: "x", name: "Old", tasks: [{ title: "Master" }] }, { id: "n", name: "New" }] }));
+  const rows = planImport(imp.records, board);
+
+  it("classifies rows against the board", () => {
+    expect(rows.map(r => r.status)).toEqual(["conflict", "new"]);
+  });
+
+  it("only takes the file's version when it was saved after the board's", () => {
+    const stamped = [{ ...board[0], updatedAt: 10 }];
+    const edited = (updatedAt) => parseImport(JSON.stringify({ projects: [{ ...stamped[0], name: "Edited", updatedAt }] })).records;
+    expect(planImport(edited(20), stamped)[0].status).toBe("changed");
+    expect(planImport(edited(10), stamped)[0].status).toBe("conflict");
+    expect(planImport(edited(5), stamped)[0].status).toBe("conflict");
+  });
+
+  it("skips conflicts unless told otherwise", () => {
+    expect(resolveImport(rows).map(p => p.id)).toEqual(["n"]);
+  });
+
+  it("merges tasks on request", () => {
+    const [merged] = resolveImport(rows.slice(0, 1), { x: "mergeTasks" });
+    expect(merged.tasks.map(t => t.title)).toEqual(["Draft", "Mix", "Master"]);
+  });
+});
+
+describe("mergeTasks", () => {
+  it("matches by title and keeps done from either side", () => {
+    const out = mergeTasks([{ id: "a", title: "Mix", done: false }], [{ id: "b", title: "mix", done: true, doneAt: 5 }]);
+    expect(out).toEqual([{ id: "a", title: "Mix", done: true, doneAt: 5 }]);
+  });
+});
+
+describe("toMillis", () => {
+  it("reads ms, Timestamps and exported { seconds, nanoseconds }", () => {
+    expect(toMillis(5)).toBe(5);
+    expect(toMillis({ toMillis: () => 7 })).toBe(7);
+    expect(toMillis({ seconds: 1, nanoseconds: 2e6 })).toBe(1002);
+    expect(toMillis("soon")).toBeNull();
+  });
+});
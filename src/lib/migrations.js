@@ -0,0 +1,119 @@
+/**
+ * migrations.js
+ * Project documents carry `schemaVersion`. Anything older (including docs with
+ * no version at all and imported JSON) is upgraded step by step on read and on
+ * import, so components can rely on every field below being present.
+ *
+ * Adding a field: bump SCHEMA_VERSION, append a step { to, up }, and add a
+ * fixture case for it to migrations.test.js. Steps must be pure and must not
+ * assume anything a previous step didn't guarantee.
+ */
+
+import { ISO_DATE } from "./dates";
+
+export const SCHEMA_VERSION = 7;
+
+const HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const toDate = (v) => (typeof v === "string" && ISO_DATE.test(v) ? v : null);
+const PRIORITY_NAMES = { none: 0, low: 1, med: 2, medium: 2, high: 3 };
+const str = (v, fallback = "") => (typeof v === "string" ? v : v == null ? fallback : String(v));
+
+function toPriority(v) {
+  if (typeof v === "string" && v.toLowerCase() in PRIORITY_NAMES) return PRIORITY_NAMES[v.toLowerCase()];
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.max(0, Math.min(3, n)) : 2;
+}
+
+function toTask(t) {
+  if (typeof t === "string") return { id: crypto.randomUUID(), title: t, done: false };
+  return { ...t, id: t?.id ? String(t.id) : crypto.randomUUID(), title: str(t?.title, "Task"), done: !!t?.done };
+}
+
+function toSubtask(s) {
+  if (typeof s === "string") return { id: crypto.randomUUID(), title: s, done: false };
+  return { id: s?.id ? String(s.id) : crypto.randomUUID(), title: str(s?.title, "Step"), done: !!s?.done };
+}
+
+function toLink(l) {
+  if (typeof l === "string") return { label: "Link", url: l };
+  return { ...l, label: str(l?.label, "Link"), url: str(l?.url) };
+}
+
+export const MIGRATIONS = [
+  // 0 → 1: the fields addProject has written since accent/label/group/order were added
+  {
+    to: 1,
+    up: (p) => ({
+      ...p,
+      name: str(p.name, "Untitled").trim() || "Untitled",
+      type: str(p.type),
+      note: str(p.note),
+      emoji: str(p.emoji) || "🎧",
+      color: HEX.test(p.color) ? p.color : "#7c3aed",
+      accent: HEX.test(p.accent) ? p.accent : "#00000000",
+      label: str(p.label).trim(),
+      group: str(p.group).trim(),
+      priority: toPriority(p.priority ?? 2),
+      order: Number.isFinite(Number(p.order)) ? Number(p.order) : 0,
+      links: Array.isArray(p.links) ? p.links.map(toLink) : [],
+      tasks: Array.isArray(p.tasks) ? p.tasks.map(toTask) : [],
+    }),
+  },
+  // 1 → 2: trash + activity history (deletedAt, activity[], task createdAt/doneAt)
+  {
+    to: 2,
+    up: (p) => ({
+      ...p,
+      deletedAt: typeof p.deletedAt === "number" ? p.deletedAt : null,
+      activity: Array.isArray(p.activity) ? p.activity : [],
+      tasks: p.tasks.map(t => ({ ...t, createdAt: t.createdAt ?? null, doneAt: t.done ? t.doneAt ?? null : null })),
+    }),
+  },
+  // 2 → 3: nested subtasks (a parent with subtasks is done when all of them are)
+  {
+    to: 3,
+    up: (p) => ({
+      ...p,
+      tasks: p.tasks.map(t => {
+        const subtasks = Array.isArray(t.subtasks) ? t.subtasks.map(toSubtask) : [];
+        return subtasks.length ? { ...t, subtasks, done: subtasks.every(s => s.done) } : { ...t, subtasks };
+      }),
+    }),
+  },
+  // 3 → 4: deadlines ("YYYY-MM-DD" or null): project releaseDate, task dueDate
+  {
+    to: 4,
+    up: (p) => ({
+      ...p,
+      releaseDate: toDate(p.releaseDate),
+      tasks: p.tasks.map(t => ({ ...t, dueDate: toDate(t.dueDate) })),
+    }),
+  },
+  // 4 → 5: optional effort estimate per task (positive points, null = unweighted)
+  {
+    to: 5,
+    up: (p) => ({
+      ...p,
+      tasks: p.tasks.map(t => ({ ...t, effort: Number(t.effort) > 0 ? Number(t.effort) : null })),
+    }),
+  },
+  // 5 → 6: optional explicit pipeline stage (null = derived from tasks, see lib/stages.js)
+  {
+    to: 6,
+    up: (p) => ({ ...p, stage: typeof p.stage === "string" && p.stage ? p.stage : null }),
+  },
+  // 6 → 7: link to a group entity (null = none; `group` keeps the name, see lib/groups.js)
+  {
+    to: 7,
+    up: (p) => ({ ...p, groupId: typeof p.groupId === "string" && p.groupId ? p.groupId : null }),
+  },
+];
+
+// upgrade one raw document to SCHEMA_VERSION (no-op when already current)
+export function migrateProject(raw) {
+  let p = raw && typeof raw === "object" ? raw : {};
+  const from = Number(p.schemaVersion) || 0;
+  if (from >= SCHEMA_VERSION) return p;
+  for (const step of MIGRATIONS) if (step.to > from) p = step.up(p);
+  return { ...p, schemaVersion: SCHEMA_VERSION };
+}
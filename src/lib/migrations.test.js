@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest";
+import { SCHEMA_VERSION, migrateProject } from "./migrations";
+
+// one fixture per step: a doc at version n - 1 with the shapes that step fixes
+const v0 = migrateProject({ id: "x", name: "Old", priority: "High", tasks: ["Draft", { title: "Mix", done: 1 }], color: "red" });
+
+describe("migrateProject", () => {
+  it("upgrades an unversioned doc to the current schema", () => {
+    expect(v0.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(v0.priority).toBe(3);
+    expect(v0.tasks).toHaveLength(2);
+    expect(v0.tasks[0].id).toBeTruthy();
+    expect(v0.tasks[1].done).toBe(true);
+    expect(v0.color).toBe("#7c3aed");
+    expect(v0.accent).toBe("#00000000");
+    expect(v0.group).toBe("");
+    expect(Array.isArray(v0.links)).toBe(true);
+  });
+
+  it("v1 → v2: activity, deletedAt and doneAt", () => {
+    const doc = migrateProject({ ...v0, schemaVersion: 1, activity: undefined, tasks: [{ id: "t", title: "Mix", done: false, doneAt: 5 }] });
+    expect(doc.activity).toEqual([]);
+    expect(doc.deletedAt).toBeNull();
+    expect(doc.tasks[0].doneAt).toBeNull();
+  });
+
+  it("v2 → v3: subtasks", () => {
+    const doc = migrateProject({ ...v0, schemaVersion: 2, tasks: [{ id: "t", title: "Mix", done: false }, { id: "u", title: "Master", done: false, subtasks: ["EQ", { title: "Limiter", done: true }] }] });
+    expect(doc.tasks[0].subtasks).toEqual([]);
+    expect(doc.tasks[1].subtasks[0].id).toBeTruthy();
+    expect(doc.tasks[1].done).toBe(false);
+  });
+
+  it("v3 → v4: release and due dates", () => {
+    const doc = migrateProject({ ...v0, schemaVersion: 3, releaseDate: "June", tasks: [{ ...v0.tasks[0], dueDate: "2025-06-30" }] });
+    expect(doc.releaseDate).toBeNull();
+    expect(doc.tasks[0].dueDate).toBe("2025-06-30");
+  });
+
+  it("v4 → v5: effort", () => {
+    const doc = migrateProject({ ...v0, schemaVersion: 4, tasks: [{ ...v0.tasks[0], effort: "3" }, { ...v0.tasks[0], id: "w", effort: -1 }] });
+    expect(doc.tasks.map(t => t.effort)).toEqual([3, null]);
+  });
+
+  it("v5 → v6: stage", () => {
+    expect(migrateProject({ ...v0, schemaVersion: 5, stage: "" }).stage).toBeNull();
+  });
+
+  it("v6 → v7: groupId", () => {
+    const doc = migrateProject({ ...v0, schemaVersion: 6, group: "Album X" });
+    expect(doc.groupId).toBeNull();
+    expect(doc.group).toBe("Album X");
+  });
+
+  it("passes current docs through untouched", () => {
+    expect(migrateProject(v0)).toBe(v0);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * order.js
+ * Manual sort keys for bricks. `order` is a plain number; a drag writes a value
+ * between the new neighbours, so only the dragged project changes. When the
+ * neighbours are too close (float precision) or the visible list isn't in
+ * `order` order (priority sort etc.), the whole list is renumbered instead.
+ */
+
+// key for a new project at the end of the board (never collides after deletes)
+export function nextOrder(projects) {
+  return projects.reduce((max, p) => Math.max(max, p.order ?? 0), -1) + 1;
+}
+
+// a key strictly between a and b (either may be missing); null if there is no room left
+export function orderBetween(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return b - 1;
+  if (b == null) return a + 1;
+  const mid = (a + b) / 2;
+  return mid > a && mid < b ? mid : null;
+}
+
+// list = projects in their new visual order, index = where the dragged one landed
+// returns [{ id, order }] to write
+export function planMove(list, index) {
+  const others = list.filter((_, i) => i !== index);
+  const ascending = others.every((p, i) => i === 0 || (others[i - 1].order ?? 0) < (p.order ?? 0));
+  if (ascending) {
+    const order = orderBetween(list[index - 1]?.order, list[index + 1]?.order);
+    if (order !== null) return [{ id: list[index].id, order }];
+  }
+  return list.map((p, i) => ({ id: p.id, order: i }));
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from "vitest";
+import { nextOrder, orderBetween, planMove } from "./order";
+
+describe("planMove", () => {
+  it("writes one order key between the new neighbours", () => {
+    expect(planMove([{ id: "a", order: 0 }, { id: "c", order: 2 }, { id: "b", order: 1 }], 1)).toEqual([{ id: "c", order: 0.5 }]);
+  });
+
+  it("renumbers a list that isn't in order order", () => {
+    expect(planMove([{ id: "a", order: 5 }, { id: "b", order: 1 }, { id: "c", order: 0 }], 0)).toEqual([{ id: "a", order: 0 }, { id: "b", order: 1 }, { id: "c", order: 2 }]);
+  });
+});
+
+describe("nextOrder / orderBetween", () => {
+  it("never reuses a key after deletes", () => {
+    expect(nextOrder([{ order: 0 }, { order: 5 }])).toBe(6);
+    expect(nextOrder([])).toBe(0);
+  });
+
+  it("gives up when the neighbours are too close", () => {
+    expect(orderBetween(1, 1 + Number.EPSILON)).toBeNull();
+  });
+});
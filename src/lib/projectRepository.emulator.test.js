@@ -0,0 +1,104 @@
+import { readFileSync } from "node:fs";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { disableNetwork, doc, enableNetwork, getDoc, setDoc } from "firebase/firestore";
+import { createFirestoreRepository, tasksFromStore, tasksToMap } from "./projectRepository";
+
+// Two clients signed in as the same user, each with its own cache, against the
+// Firestore emulator (npm run test:emulator).
+
+const PATH = "users/alice/projects/p";
+const TOKEN = { email: "alice@example.com", email_verified: true };
+const project = (tasks) => ({ id: "p", name: "Song", priority: 1, color: "#7c3aed", order: 0, tasks });
+const TASKS = [{ id: "mix", title: "Mix", done: false }, { id: "master", title: "Master", done: false }];
+
+let env;
+const unsubscribe = [];
+
+beforeAll(async () => {
+  env = await initializeTestEnvironment({ projectId: "demo-beatbricks", firestore: { rules: readFileSync("firestore.rules", "utf8") } });
+});
+afterAll(() => env?.cleanup());
+beforeEach(() => env.clearFirestore());
+afterEach(() => { unsubscribe.splice(0).forEach(off => off()); });
+
+const seed = (data, path = PATH) => env.withSecurityRulesDisabled(ctx => setDoc(doc(ctx.firestore(), path), data));
+
+async function stored(path = PATH) {
+  let data;
+  await env.withSecurityRulesDisabled(async ctx => { data = (await getDoc(doc(ctx.firestore(), path))).data(); });
+  return data;
+}
+
+// a client subscribed the way the board is; resolves once it has seen the project
+async function client() {
+  const db = env.authenticatedContext("alice", TOKEN).firestore();
+  const repo = createFirestoreRepository(db, "alice");
+  await new Promise(resolve => unsubscribe.push(repo.subscribe(list => list.length && resolve())));
+  // (resolves on the first non-empty snapshot; tests seed every doc before creating clients)
+  return { db, repo };
+}
+
+const toggle = (id) => (p) => ({ tasks: p.tasks.map(t => (t.id === id ? { ...t, done: !t.done } : t)) });
+const add = (id) => (p) => ({ tasks: [...p.tasks, { id, title: id, done: false }] });
+
+describe("task mutations from several clients", () => {
+  it("keeps interleaved toggles and adds", async () => {
+    await seed(project(tasksToMap(TASKS)));
+    const a = await client(), b = await client();
+    await Promise.all([
+      a.repo.mutate("p", toggle("mix")),
+      b.repo.mutate("p", add("artwork")),
+      a.repo.mutate("p", add("vocals")),
+      b.repo.mutate("p", toggle("master")),
+    ]);
+    const tasks = tasksFromStore((await stored()).tasks);
+    expect(tasks.map(t => t.id).sort()).toEqual(["artwork", "master", "mix", "vocals"]);
+    expect(tasks.filter(t => t.done).map(t => t.id).sort()).toEqual(["master", "mix"]);
+  });
+
+  it("applies two quick toggles on one client in turn", async () => {
+    await seed(project(tasksToMap(TASKS)));
+    const a = await client();
+    await Promise.all([a.repo.mutate("p", toggle("mix")), a.repo.mutate("p", toggle("mix"))]);
+    expect((await stored()).tasks.mix.done).toBe(false);
+  });
+
+  it("queues task changes made offline and merges them on reconnect", async () => {
+    await seed(project(tasksToMap(TASKS)));
+    const a = await client(), b = await client();
+    await disableNetwork(a.db);
+    const offline = a.repo.mutate("p", add("vocals"));
+    await b.repo.mutate("p", toggle("mix"));
+    await enableNetwork(a.db);
+    await offline;
+    const tasks = tasksFromStore((await stored()).tasks);
+    expect(tasks.map(t => [t.id, t.done])).toEqual([["mix", true], ["master", false], ["vocals", false]]);
+  });
+
+  it("converts a doc that still stores a task array on its first task write", async () => {
+    await seed(project(TASKS));
+    const a = await client();
+    await a.repo.mutate("p", toggle("master"));
+    const data = await stored();
+    expect(data.name).toBe("Song");
+    expect(tasksFromStore(data.tasks).map(t => [t.id, t.done])).toEqual([["mix", false], ["master", true]]);
+  });
+
+  it("moves a task between projects without losing concurrent edits to either", async () => {
+    await seed(project(tasksToMap(TASKS)));
+    await seed({ ...project(tasksToMap([{ id: "art", title: "Artwork", done: false }])), id: "q", order: 1 }, "users/alice/projects/q");
+    const a = await client(), b = await client();
+    const move = ([p, q]) => [
+      { id: "p", patch: { tasks: p.tasks.filter(t => t.id !== "master") } },
+      { id: "q", patch: { tasks: [...q.tasks, p.tasks.find(t => t.id === "master")] } },
+    ];
+    await Promise.all([
+      a.repo.mutateMany(["p", "q"], move),
+      b.repo.mutate("p", toggle("mix")),
+      b.repo.mutate("q", add("vocals")),
+    ]);
+    expect(tasksFromStore((await stored()).tasks).map(t => [t.id, t.done])).toEqual([["mix", true]]);
+    expect(tasksFromStore((await stored("users/alice/projects/q")).tasks).map(t => t.id).sort()).toEqual(["art", "master", "vocals"]);
+  });
+});
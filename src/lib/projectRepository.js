@@ -0,0 +1,266 @@
+import { collection, doc, onSnapshot, setDoc, updateDoc, deleteDoc, deleteField, serverTimestamp, query, where, runTransaction, writeBatch, arrayUnion, Timestamp, FieldPath, FieldValue } from "firebase/firestore";
+import { stripSharing } from "./sharing";
+
+/**
+ * projectRepository.js
+ * All project persistence goes through one of these, so the board hooks never
+ * touch Firestore paths (or localStorage) directly.
+ *
+ * Interface (every write returns a Promise)
+ *  - subscribe(cb)     : cb(projects[], meta) now-ish and on every change, sorted by order; returns unsubscribe
+ *                        meta = { fromCache, pendingIds[] } (ids with local writes not yet on the server)
+ *  - put(project)      : create or overwrite a whole project (keyed by project.id)
+ *  - putMany(list, staged?) : several put()s, all-or-nothing (one batch), together with writes
+ *                        staged on a collection repository; more than BATCH_LIMIT writes are refused
+ *  - update(id, patch) : shallow field merge into an existing project
+ *  - updateMany(list, staged?) : [{ id, patch }] written all-or-nothing (one batch), together
+ *                        with writes staged on a collection repository (collectionRepository stage())
+ *  - mutate(id, fn)    : read-modify-write; fn(latest project) → patch (or null to skip)
+ *  - mutateMany(ids, fn): the same across projects, written all-or-nothing (one batch);
+ *                        fn(latest copies of the ids that exist) → [{ id, patch }] (or null)
+ *  - remove(id)        : delete a project
+ *  - share(id, roles)  : move a project into sharedProjects with these roles (null moves it back)
+ *  - now()             : value to store in createdAt / updatedAt
+ *  - append(...items)  : patch value that appends to an array field without reading it
+ *                        (e.g. { activity: repo.append(entry) }); items must be unique objects
+ *
+ * Tasks in Firestore are a map keyed by task id ({ [id]: { ...task, pos } }, see
+ * tasksToMap) and every write touches only the task fields that changed
+ * (tasks.<id>.done, ...), so task edits from several tabs or clients merge
+ * instead of overwriting each other, and queue offline like any other write.
+ * mutate() and mutateMany() therefore need no transaction (which would need the
+ * server): they run fn on the latest local copies.
+ * Subscribers always get tasks as an array in `pos` order.
+ */
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// --- tasks as stored in Firestore ---
+export function tasksToMap(tasks = []) {
+  return Object.fromEntries(tasks.map((t, pos) => [t.id, { ...t, pos }]));
+}
+
+// stored tasks (a map, or the array older docs still hold) → array in pos order. Entries
+// without an id are what's left when a field write lands after the task was deleted.
+export function tasksFromStore(stored) {
+  if (Array.isArray(stored)) return stored;
+  if (!stored || typeof stored !== "object") return [];
+  return Object.values(stored)
+    .filter(t => typeof t?.id === "string")
+    .sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0) || a.id.localeCompare(b.id))
+    .map(t => { const { pos: _, ...task } = t; return task; });
+}
+
+// writes that turn the stored tasks into `next`: [[path[], value]] (value undefined = delete the field).
+// Docs that still hold an array get the whole map once.
+export function taskFieldWrites(stored, next) {
+  if (!stored || Array.isArray(stored) || typeof stored !== "object") return [[["tasks"], tasksToMap(next)]];
+  const writes = [];
+  next.forEach((t, pos) => {
+    const old = stored[t.id], cur = { ...t, pos };
+    if (!old) { writes.push([["tasks", t.id], cur]); return; }
+    for (const k of new Set([...Object.keys(old), ...Object.keys(cur)])) {
+      if (!same(old[k], cur[k])) writes.push([["tasks", t.id, k], cur[k]]);
+    }
+  });
+  const keep = new Set(next.map(t => t.id));
+  for (const id of Object.keys(stored)) if (!keep.has(id)) writes.push([["tasks", id], undefined]);
+  return writes;
+}
+
+// guest/local projects carry plain ms timestamps and exported JSON has { seconds, nanoseconds };
+// store both as real Timestamps in the cloud
+function toFirestore(p) {
+  const out = { ...p };
+  for (const k of ["createdAt", "updatedAt"]) {
+    const v = out[k];
+    if (typeof v === "number") out[k] = Timestamp.fromMillis(v);
+    else if (v && !(v instanceof Timestamp) && typeof v.seconds === "number") out[k] = new Timestamp(v.seconds, v.nanoseconds || 0);
+  }
+  out.tasks = tasksToMap(p.tasks);
+  return out;
+}
+
+// --- Firestore: users/{uid}/projects/{id} + sharedProjects/{id} the user is a member of ---
+// (email: the user's verified address; without one there are no shared projects, see firestore.rules)
+export const SHARED_COLLECTION = "sharedProjects";
+// Firestore caps a batch at 500 writes; a bigger all-or-nothing write is refused before anything is sent
+export const BATCH_LIMIT = 500;
+const tooMany = (n) => Promise.reject(new Error(`Can't write ${n} documents at once (at most ${BATCH_LIMIT})`));
+
+export function createFirestoreRepository(db, uid, { email } = {}) {
+  const path = `users/${uid}/projects`;
+  const shared = new Set(); // ids currently living in sharedProjects
+  const ref = (id, p) => doc(db, shared.has(id) || p?.roles ? `${SHARED_COLLECTION}/${id}` : `${path}/${id}`);
+  // latest local copy of every subscribed doc, one map per listener (own, shared):
+  // id → { project, tasks (as stored) }
+  const copies = [new Map(), new Map()];
+  const copyOf = (id) => copies.find(m => m.has(id));
+
+  // patch → flat [FieldPath, value, ...] for updateDoc / batch.update; the local copy
+  // takes the plain values right away, so a second mutate() before the snapshot sees them
+  const fieldArgs = (id, patch) => {
+    const store = copyOf(id), cur = store?.get(id);
+    const writes = Object.entries(patch).flatMap(([k, v]) => (k === "tasks" ? taskFieldWrites(cur?.tasks, v) : [[[k], v]]));
+    if (cur) {
+      const plain = Object.fromEntries(Object.entries(patch).filter(([, v]) => !(v instanceof FieldValue)));
+      store.set(id, { project: { ...cur.project, ...plain }, tasks: "tasks" in patch ? tasksToMap(patch.tasks) : cur.tasks });
+    }
+    return writes.flatMap(([at, v]) => [new FieldPath(...at), v === undefined ? deleteField() : v]);
+  };
+  const update = (id, patch) => {
+    const args = fieldArgs(id, patch);
+    return args.length ? updateDoc(ref(id), ...args) : Promise.resolve();
+  };
+  const updateMany = (list, staged = []) => {
+    if (list.length + staged.length > BATCH_LIMIT) return tooMany(list.length + staged.length);
+    const batch = writeBatch(db);
+    list.forEach(({ id, patch }) => {
+      const args = fieldArgs(id, patch);
+      if (args.length) batch.update(ref(id), ...args);
+    });
+    staged.forEach(write => write(batch));
+    return batch.commit();
+  };
+  const local = (id) => copyOf(id)?.get(id)?.project;
+
+  return {
+    kind: "firestore",
+    subscribe(cb) {
+      const mine = { docs: [], fromCache: true, pending: [] }, theirs = { docs: [], fromCache: false, pending: [] };
+      const emit = () => cb([...mine.docs, ...theirs.docs].sort(byOrder), {
+        fromCache: mine.fromCache || theirs.fromCache,
+        pendingIds: [...mine.pending, ...theirs.pending],
+      });
+      // metadata changes too, so "pending" clears once the server acknowledges a write
+      const read = (into, store) => (snap) => {
+        store.clear();
+        into.docs = snap.docs.map(d => {
+          const raw = d.data();
+          const project = { ...raw, tasks: tasksFromStore(raw.tasks) };
+          store.set(d.id, { project, tasks: raw.tasks });
+          return project;
+        });
+        into.fromCache = snap.metadata.fromCache;
+        into.pending = snap.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id);
+        emit();
+      };
+      // no orderBy: Firestore would leave out old docs without an order field, which migrate-on-read
+      // has to see (emit() sorts by order instead)
+      const offMine = onSnapshot(collection(db, path), { includeMetadataChanges: true }, read(mine, copies[0]));
+      if (!email) return offMine;
+      const readShared = read(theirs, copies[1]);
+      const offShared = onSnapshot(query(collection(db, SHARED_COLLECTION), where("memberEmails", "array-contains", email.toLowerCase())), { includeMetadataChanges: true }, snap => {
+        shared.clear();
+        snap.docs.forEach(d => shared.add(d.id));
+        readShared(snap);
+      });
+      return () => { offMine(); offShared(); };
+    },
+    put: (p) => setDoc(ref(p.id, p), toFirestore(p)),
+    putMany: (list, staged = []) => {
+      if (list.length + staged.length > BATCH_LIMIT) return tooMany(list.length + staged.length);
+      const batch = writeBatch(db);
+      list.forEach(p => batch.set(ref(p.id, p), toFirestore(p)));
+      staged.forEach(write => write(batch));
+      return batch.commit();
+    },
+    update,
+    updateMany,
+    mutate: (id, fn) => {
+      const cur = local(id);
+      const patch = cur && fn(cur);
+      return patch ? update(id, patch) : Promise.resolve();
+    },
+    mutateMany: (ids, fn) => {
+      const current = ids.map(local).filter(Boolean);
+      const list = current.length ? fn(current) : null;
+      return list?.length ? updateMany(list) : Promise.resolve();
+    },
+    remove: (id) => deleteDoc(ref(id)),
+    // personal ⇄ shared is a move: write the new doc and delete the old one in one batch
+    share: (id, roles) => !email ? Promise.reject(new Error("Verify your email address to share projects")) : runTransaction(db, async (tx) => {
+      const from = ref(id);
+      const snap = await tx.get(from);
+      if (!snap.exists()) return;
+      const rest = stripSharing(snap.data());
+      if (roles) {
+        const next = { ...rest, ownerUid: uid, roles, memberEmails: Object.keys(roles) };
+        if (shared.has(id)) tx.set(from, next);
+        else { tx.set(doc(db, `${SHARED_COLLECTION}/${id}`), next); tx.delete(from); }
+      } else if (shared.has(id)) {
+        tx.set(doc(db, `${path}/${id}`), rest);
+        tx.delete(from);
+      }
+    }),
+    now: () => serverTimestamp(),
+    append: (...items) => arrayUnion(...items),
+  };
+}
+
+// --- In-memory: optional persist(projects) hook (the guest board saves to localStorage) ---
+class Append { constructor(items) { this.items = items; } }
+
+// shallow merge that resolves append() markers against the current value
+function applyPatch(p, patch) {
+  const out = { ...p };
+  for (const [k, v] of Object.entries(patch)) out[k] = v instanceof Append ? [...(p[k] || []), ...v.items] : v;
+  return out;
+}
+
+export function createMemoryRepository({ initial = [], persist } = {}) {
+  let projects = initial.slice();
+  const listeners = new Set();
+  const snapshot = () => projects.slice().sort(byOrder);
+  const META = { fromCache: false, pendingIds: [] }; // nothing to sync
+  const commit = (next) => {
+    projects = next;
+    const snap = snapshot();
+    persist?.(snap);
+    listeners.forEach(cb => cb(snap, META));
+  };
+  const commitPatches = (list, staged = []) => {
+    const patches = new Map(list.map(({ id, patch }) => [id, patch]));
+    const missing = [...patches.keys()].find(id => !projects.some(p => p.id === id));
+    if (missing) throw new Error(`No project with id ${missing}`);
+    staged.forEach(write => write());
+    commit(projects.map(p => patches.has(p.id) ? applyPatch(p, patches.get(p.id)) : p));
+  };
+
+  return {
+    kind: "memory",
+    subscribe(cb) {
+      listeners.add(cb);
+      cb(snapshot(), META);
+      return () => { listeners.delete(cb); };
+    },
+    async put(p) { commit([...projects.filter(x => x.id !== p.id), applyPatch({}, p)]); },
+    async putMany(list, staged = []) {
+      const ids = new Set(list.map(p => p.id));
+      staged.forEach(write => write());
+      commit([...projects.filter(x => !ids.has(x.id)), ...list.map(p => applyPatch({}, p))]);
+    },
+    async update(id, patch) {
+      if (!projects.some(p => p.id === id)) throw new Error(`No project with id ${id}`);
+      commit(projects.map(p => p.id === id ? applyPatch(p, patch) : p));
+    },
+    async updateMany(list, staged) { commitPatches(list, staged); },
+    // single-threaded, so reading the latest copy and committing in one step is already atomic
+    async mutate(id, fn) {
+      const current = projects.find(p => p.id === id);
+      if (!current) return;
+      const patch = fn(current);
+      if (patch) commit(projects.map(p => p.id === id ? applyPatch(p, patch) : p));
+    },
+    async mutateMany(ids, fn) {
+      const current = ids.map(id => projects.find(p => p.id === id)).filter(Boolean);
+      const list = current.length ? fn(current) : null;
+      if (list?.length) commitPatches(list);
+    },
+    async remove(id) { commit(projects.filter(p => p.id !== id)); },
+    async share() { throw new Error("Sign in to share projects"); },
+    now: () => Date.now(),
+    append: (...items) => new Append(items),
+  };
+}
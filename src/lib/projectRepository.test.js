@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { createMemoryCollectionRepository } from "./collectionRepository";
+import { createMemoryRepository, taskFieldWrites, tasksFromStore, tasksToMap } from "./projectRepository";
+
+const latest = (repo) => { let out; repo.subscribe(list => { out = list; })(); return out; };
+
+describe("createMemoryRepository", () => {
+  it("keeps every one of several task mutations issued together", async () => {
+    const repo = createMemoryRepository({ initial: [{ id: "p", order: 0, tasks: [{ id: "a", title: "Mix", done: false }] }] });
+    const add = (id) => repo.mutate("p", p => ({ tasks: [...p.tasks, { id, title: id, done: false }] }));
+    await Promise.all([add("b"), repo.mutate("p", p => ({ tasks: p.tasks.map(t => (t.id === "a" ? { ...t, done: true } : t)) })), add("c")]);
+    const [p] = latest(repo);
+    expect(p.tasks.map(t => [t.id, t.done])).toEqual([["a", true], ["b", false], ["c", false]]);
+  });
+
+  it("mutateMany writes patches for several projects from their latest copies", async () => {
+    const repo = createMemoryRepository({ initial: [{ id: "p", order: 0, tasks: [{ id: "a" }] }, { id: "q", order: 1, tasks: [] }] });
+    const move = ([p, q]) => [{ id: p.id, patch: { tasks: [] } }, { id: q.id, patch: { tasks: [...q.tasks, ...p.tasks] } }];
+    await Promise.all([repo.mutate("q", q => ({ tasks: [...q.tasks, { id: "b" }] })), repo.mutateMany(["p", "q"], move)]);
+    expect(latest(repo).map(p => p.tasks.map(t => t.id))).toEqual([[], ["b", "a"]]);
+    await repo.mutateMany(["gone"], () => { throw new Error("not called"); });
+  });
+
+  it("resolves append() against the current value", async () => {
+    const repo = createMemoryRepository({ initial: [{ id: "p", activity: [1] }] });
+    await repo.update("p", { activity: repo.append(2, 3) });
+    expect(latest(repo)[0].activity).toEqual([1, 2, 3]);
+  });
+
+  it("rejects updates to missing projects without writing anything", async () => {
+    const persisted = [];
+    const repo = createMemoryRepository({ initial: [{ id: "p" }], persist: (list) => persisted.push(list) });
+    await expect(repo.updateMany([{ id: "p", patch: { name: "A" } }, { id: "q", patch: {} }])).rejects.toThrow(/q/);
+    expect(persisted).toEqual([]);
+  });
+
+  it("commits writes staged on a collection repository with the patches, or neither", async () => {
+    const groups = createMemoryCollectionRepository({ initial: [{ id: "g", name: "EP" }] });
+    const repo = createMemoryRepository({ initial: [{ id: "p", groupId: "g", group: "EP" }] });
+    const names = () => { let out; groups.subscribe(list => { out = list; })(); return out.map(g => g.name); };
+    await expect(repo.updateMany([{ id: "q", patch: { group: "Album" } }], [groups.stage({ id: "g", name: "Album" })])).rejects.toThrow(/q/);
+    expect(names()).toEqual(["EP"]);
+    await repo.updateMany([{ id: "p", patch: { group: "Album" } }], [groups.stage({ id: "g", name: "Album" })]);
+    expect([latest(repo)[0].group, names()]).toEqual(["Album", ["Album"]]);
+  });
+});
+
+describe("tasks in Firestore", () => {
+  const tasks = [{ id: "a", title: "Mix", done: false }, { id: "b", title: "Master", done: false }];
+  const stored = tasksToMap(tasks);
+
+  it("round-trips through the stored map in order", () => {
+    expect(stored.b.pos).toBe(1);
+    expect(tasksFromStore(stored)).toEqual(tasks);
+    expect(tasksFromStore(tasks)).toBe(tasks); // docs from before the map
+  });
+
+  it("drops what a field write leaves behind for a deleted task", () => {
+    expect(tasksFromStore({ ...stored, gone: { done: true } }).map(t => t.id)).toEqual(["a", "b"]);
+  });
+
+  it("writes only the fields that changed", () => {
+    expect(taskFieldWrites(stored, [{ ...tasks[0], done: true }, tasks[1]])).toEqual([[["tasks", "a", "done"], true]]);
+    expect(taskFieldWrites(stored, [...tasks, { id: "c", title: "Art", done: false }])).toEqual([[["tasks", "c"], { id: "c", title: "Art", done: false, pos: 2 }]]);
+  });
+
+  it("moves by pos and deletes by id", () => {
+    expect(taskFieldWrites(stored, [tasks[1], tasks[0]])).toEqual([[["tasks", "b", "pos"], 0], [["tasks", "a", "pos"], 1]]);
+    expect(taskFieldWrites({ ...stored, gone: { done: true } }, [tasks[0]])).toEqual([[["tasks", "b"], undefined], [["tasks", "gone"], undefined]]);
+  });
+
+  it("rewrites a stored array whole", () => {
+    expect(taskFieldWrites(tasks, tasks)).toEqual([[["tasks"], stored]]);
+  });
+});
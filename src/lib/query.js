@@ -0,0 +1,163 @@
+/**
+ * query.js
+ * The board's search syntax. Bare words match a project's name, type, note,
+ * label, group, task titles and links; `field:value` narrows to one field:
+ *
+ *   name: type: note: label: group: task: link: stage:   text (case-insensitive substring)
+ *   priority:   high | med | low | none | 0–3, optionally with >= <= > < (priority:>=2)
+ *   is:         todo | done | empty | overdue | soon | shared
+ *
+ * Quote values with spaces (group:"Album X"), put "-" in front of any term to
+ * negate it. Every term must match. Unknown fields and values are reported in
+ * `errors` and ignored, so a half-typed query never hides the whole board.
+ */
+import { dueState } from "./dates";
+import { isShared } from "./sharing";
+import { STAGES, projectStage } from "./stages";
+
+export const TEXT_FIELDS = ["name", "type", "note", "label", "group", "task", "link", "stage"];
+export const QUERY_FIELDS = [...TEXT_FIELDS, "priority", "is"];
+export const IS_VALUES = ["todo", "done", "empty", "overdue", "soon", "shared"];
+const PRIORITY_NAMES = { none: 0, low: 1, med: 2, medium: 2, high: 3 };
+
+// split on whitespace outside quotes: [{ raw, start, end }]
+export function tokenize(text = "") {
+  const out = [];
+  const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let m;
+  while ((m = re.exec(text))) out.push({ raw: m[0], start: m.index, end: m.index + m[0].length });
+  return out;
+}
+
+const unquote = (s) => s.replace(/"/g, "");
+
+// one token → { field, op, value, negate } (field null for a bare word)
+function parseTerm(raw) {
+  const negate = raw.startsWith("-") && raw.length > 1;
+  const body = negate ? raw.slice(1) : raw;
+  const m = /^([a-z]+):(.*)$/i.exec(body);
+  if (!m || body.startsWith('"')) return { field: null, op: "~", value: unquote(body).toLowerCase(), negate };
+  const field = m[1].toLowerCase();
+  let rest = m[2];
+  let op = "~";
+  if (field === "priority") {
+    const opMatch = /^(>=|<=|>|<|=)/.exec(rest);
+    op = opMatch?.[1] || "=";
+    rest = rest.slice(opMatch?.[1].length || 0);
+  }
+  return { field, op, value: unquote(rest).toLowerCase(), negate };
+}
+
+// → { terms: [{ field, op, value, negate }], errors: [string] }
+export function parseQuery(text = "") {
+  const terms = [], errors = [];
+  for (const { raw } of tokenize(text)) {
+    const t = parseTerm(raw);
+    if (!t.value) continue; // "group:" while typing
+    if (t.field && !QUERY_FIELDS.includes(t.field)) { errors.push(`Unknown field "${t.field}:"`); continue; }
+    if (t.field === "is" && !IS_VALUES.includes(t.value)) { errors.push(`Unknown is:${t.value} (try ${IS_VALUES.join(", ")})`); continue; }
+    if (t.field === "priority") {
+      const n = t.value in PRIORITY_NAMES ? PRIORITY_NAMES[t.value] : Number(t.value);
+      if (!Number.isInteger(n) || n < 0 || n > 3) { errors.push(`priority: takes high, med, low, none or 0–3`); continue; }
+      t.value = n;
+    }
+    terms.push(t);
+  }
+  return { terms, errors };
+}
+
+const taskTitles = (p) => (p.tasks || []).flatMap(t => [t.title, ...(t.subtasks || []).map(s => s.title)]);
+
+function fieldText(p, field) {
+  switch (field) {
+    case "task": return taskTitles(p);
+    case "link": return (p.links || []).flatMap(l => [l.label, l.url]);
+    case "stage": return [projectStage(p)];
+    default: return [p[field]];
+  }
+}
+
+const isDone = (p) => p.tasks.length > 0 && p.tasks.every(t => t.done);
+
+function matchesIs(p, value) {
+  switch (value) {
+    case "todo": return !isDone(p);
+    case "done": return isDone(p);
+    case "empty": return p.tasks.length === 0;
+    case "overdue": return p.tasks.some(t => dueState(t) === "overdue");
+    case "soon": return p.tasks.some(t => dueState(t) === "soon");
+    case "shared": return isShared(p);
+    default: return true;
+  }
+}
+
+function matchesTerm(p, t) {
+  const has = (list) => list.some(v => String(v ?? "").toLowerCase().includes(t.value));
+  if (t.field === "is") return matchesIs(p, t.value);
+  if (t.field === "priority") {
+    const v = p.priority;
+    return { ">=": v >= t.value, "<=": v <= t.value, ">": v > t.value, "<": v < t.value, "=": v === t.value }[t.op];
+  }
+  if (t.field) return has(fieldText(p, t.field));
+  return has([p.name, p.type, p.note, p.label, p.group, ...taskTitles(p), ...fieldText(p, "link")]);
+}
+
+export function matchesQuery(p, { terms }) {
+  return terms.every(t => matchesTerm(p, t) !== t.negate);
+}
+
+// text to highlight per field ("*" = bare words, shown wherever they appear)
+export function queryHighlights({ terms }) {
+  const out = {};
+  for (const t of terms) {
+    if (t.negate || !(t.field === null || TEXT_FIELDS.includes(t.field))) continue;
+    const key = t.field ?? "*";
+    (out[key] ||= []).push(t.value);
+  }
+  return out;
+}
+
+// text → [{ text, hit }] around case-insensitive occurrences of any needle
+export function splitMatches(text = "", needles = []) {
+  const words = needles.filter(Boolean);
+  if (!text || !words.length) return [{ text, hit: false }];
+  const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).sort((a, b) => b.length - a.length);
+  return String(text).split(new RegExp(`(${escaped.join("|")})`, "gi")).filter(Boolean)
+    .map(part => ({ text: part, hit: words.some(w => part.toLowerCase() === w) }));
+}
+
+const quote = (v) => (/\s/.test(v) ? `"${v}"` : v);
+
+// autocomplete for the token under the caret → { from, to, items: [{ label, text }] }
+export function completions(text, caret, projects = []) {
+  const token = tokenize(text).find(t => t.start <= caret && caret <= t.end) || { raw: "", start: caret, end: caret };
+  const neg = token.raw.startsWith("-") ? "-" : "";
+  const body = token.raw.slice(neg.length);
+  const colon = body.indexOf(":");
+  const at = { from: token.start, to: token.end };
+
+  if (colon < 0) {
+    const prefix = body.toLowerCase();
+    const items = QUERY_FIELDS.filter(f => f.startsWith(prefix) && f !== prefix).map(f => ({ label: `${f}:`, text: `${neg}${f}:` }));
+    return { ...at, items };
+  }
+
+  const field = body.slice(0, colon).toLowerCase();
+  const partial = unquote(body.slice(colon + 1)).replace(/^(>=|<=|>|<|=)/, "").toLowerCase();
+  const distinct = (key) => [...new Set(projects.map(p => String(p[key] || "").trim()).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const values = {
+    is: IS_VALUES,
+    priority: [">=high", ">=med", "high", "med", "low", "none"],
+    stage: STAGES,
+    group: distinct("group"),
+    label: distinct("label"),
+    type: distinct("type"),
+  }[field] || [];
+  const starts = (v) => (v.toLowerCase().startsWith(partial) ? 0 : 1);
+  const items = values
+    .filter(v => v.toLowerCase().includes(partial) && v.toLowerCase() !== partial)
+    .sort((a, b) => starts(a) - starts(b))
+    .slice(0, 8)
+    .map(v => ({ label: `${field}:${v}`, text: `${neg}${field}:${quote(v)} ` }));
+  return { ...at, items };
+}
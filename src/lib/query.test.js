@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { completions, matchesQuery, parseQuery, queryHighlights, splitMatches } from "./query";
+
+const song = { name: "Song", type: "", note: "", label: "EP-A", group: "Album X", priority: 3, tasks: [{ id: "t", title: "Mixdown", done: false }], links: [] };
+
+describe("parseQuery / matchesQuery", () => {
+  const q = parseQuery('group:"Album X" priority:>=2 is:todo label:EP-A task:mix -demo');
+
+  it("matches only when every term does", () => {
+    expect(q.errors).toEqual([]);
+    expect(matchesQuery(song, q)).toBe(true);
+    expect(matchesQuery({ ...song, priority: 1 }, q)).toBe(false);
+    expect(matchesQuery({ ...song, name: "Demo song" }, q)).toBe(false);
+  });
+
+  it("reports unknown fields and values without dropping the rest", () => {
+    const bad = parseQuery("bogus:1 is:nah mix");
+    expect(bad.errors).toHaveLength(2);
+    expect(matchesQuery(song, bad)).toBe(true);
+  });
+
+  it("highlights positive text terms per field", () => {
+    expect(queryHighlights(q)).toEqual({ group: ["album x"], label: ["ep-a"], task: ["mix"] });
+  });
+});
+
+describe("splitMatches", () => {
+  it("splits around case-insensitive hits", () => {
+    expect(splitMatches("Mixdown", ["mix"])).toEqual([{ text: "Mix", hit: true }, { text: "down", hit: false }]);
+  });
+});
+
+describe("completions", () => {
+  it("suggests fields, then values for the field under the caret", () => {
+    expect(completions("pri", 3).items.map(i => i.text)).toEqual(["priority:"]);
+    const groups = completions("group:al", 8, [song]);
+    expect(groups.items.map(i => i.text)).toEqual(['group:"Album X" ']);
+    expect(completions("is:t", 4).items[0].label).toBe("is:todo");
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * sharing.js
+ * Shared projects live in the top-level `sharedProjects/{id}` collection
+ * instead of `users/{uid}/projects`, with membership keyed by (lower-case) email:
+ *
+ *   ownerUid     : uid of the owner (the only one who can share, unshare or purge)
+ *   roles        : { [email]: "owner" | "editor" | "viewer" }
+ *   memberEmails : Object.keys(roles), for the array-contains board query
+ *
+ * Personal projects have no `roles` at all; their signed-in user is the owner.
+ * firestore.rules enforces the same roles server-side.
+ */
+
+export const ROLES = ["owner", "editor", "viewer"];
+export const SHARING_FIELDS = ["ownerUid", "roles", "memberEmails"];
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+export const isShared = (p) => !!p?.roles;
+
+export function projectRole(p, email) {
+  if (!isShared(p)) return "owner";
+  return p.roles[normalizeEmail(email)] || "viewer";
+}
+
+export const canEdit = (p, email) => projectRole(p, email) !== "viewer";
+
+// a plain personal copy (used when cloning someone else's shared project)
+export function stripSharing(p) {
+  const out = { ...p };
+  SHARING_FIELDS.forEach(k => delete out[k]);
+  return out;
+}
+
+// just the sharing fields of a project ({} for a personal one or none), to put back after stripSharing
+export const sharingOf = (p) => Object.fromEntries(SHARING_FIELDS.filter(k => p && k in p).map(k => [k, p[k]]));
+
+// roles with one member added/changed (role) or removed (role = null); the owner can't be changed here
+export function withMember(roles, email, role) {
+  const key = normalizeEmail(email);
+  if (!key || roles[key] === "owner") return roles;
+  const next = { ...roles };
+  if (role) next[key] = role; else delete next[key];
+  return next;
+}
@@ -0,0 +1,51 @@
+/**
+ * stages.js
+ * Workflow stages for the pipeline (kanban) view. A project's stage is its
+ * explicit `stage` field when set, otherwise derived from its tasks: the stage
+ * of the first open task that belongs to the pipeline (matched by title), or
+ * "Released" once every pipeline task is done.
+ */
+import { setTaskDone } from "./tasks";
+
+export const STAGES = ["Draft", "Lyrics", "Recording", "Mix", "Master", "Released"];
+
+// droppable ids of kanban columns: "stage:<swimlane>:<Stage>"
+export const STAGE_DROP_PREFIX = "stage:";
+export const stageFromDropId = (id) => String(id).startsWith(STAGE_DROP_PREFIX) ? String(id).split(":").pop() : null;
+
+// task title → pipeline stage (null when the task isn't a pipeline step)
+const MATCHERS = [
+  ["Draft", /\b(draft|demo|sketch|idea)/i],
+  ["Lyrics", /\blyric/i],
+  ["Recording", /\b(record|vocal|tracking)/i],
+  ["Mix", /\bmix/i],
+  ["Master", /\bmaster/i],
+];
+
+export function taskStage(title = "") {
+  return MATCHERS.find(([, re]) => re.test(title))?.[0] ?? null;
+}
+
+export function derivedStage(p) {
+  const pipeline = (p.tasks || []).filter(t => taskStage(t.title));
+  const open = pipeline.find(t => !t.done);
+  if (open) return taskStage(open.title);
+  return pipeline.length ? "Released" : "Draft";
+}
+
+export function projectStage(p) {
+  return STAGES.includes(p.stage) ? p.stage : derivedStage(p);
+}
+
+// patch for dropping `p` in `stage`: pipeline tasks of earlier stages get checked off;
+// the explicit stage is only kept when the tasks alone wouldn't put the project there
+export function moveToStage(p, stage) {
+  const idx = STAGES.indexOf(stage);
+  const tasks = (p.tasks || []).map(t => {
+    const s = taskStage(t.title);
+    return s && STAGES.indexOf(s) < idx && !t.done ? setTaskDone(t, true) : t;
+  });
+  const changed = tasks.some((t, i) => t !== p.tasks[i]);
+  const explicit = derivedStage({ ...p, tasks }) === stage ? null : stage;
+  return { ...(changed ? { tasks } : {}), stage: explicit };
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { moveToStage, projectStage, stageFromDropId } from "./stages";
+
+const piped = { tasks: [{ id: "d", title: "Draft", done: false }, { id: "m", title: "Mix", done: false }, { id: "x", title: "Artwork", done: false }] };
+
+describe("projectStage", () => {
+  it("derives the stage from the first open pipeline task", () => {
+    expect(projectStage(piped)).toBe("Draft");
+    expect(projectStage({ ...piped, stage: "Master" })).toBe("Master");
+    expect(projectStage({ tasks: piped.tasks.map(t => ({ ...t, done: true })) })).toBe("Released");
+  });
+});
+
+describe("moveToStage", () => {
+  it("checks off earlier pipeline tasks instead of pinning the stage", () => {
+    const patch = moveToStage(piped, "Mix");
+    expect(patch.stage).toBeNull();
+    expect(patch.tasks.map(t => t.done)).toEqual([true, false, false]);
+  });
+
+  it("pins the stage when the tasks can't get there", () => {
+    expect(moveToStage(piped, "Lyrics")).toEqual({ tasks: expect.any(Array), stage: "Lyrics" });
+  });
+});
+
+describe("stageFromDropId", () => {
+  it("reads the stage from a column id", () => {
+    expect(stageFromDropId("stage:Album X:Mix")).toBe("Mix");
+    expect(stageFromDropId("p-1")).toBeNull();
+  });
+});
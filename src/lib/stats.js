@@ -0,0 +1,137 @@
+/**
+ * stats.js
+ * Numbers for the stats view, computed from recorded completion times rather
+ * than today's checkboxes: a task counts as completed when it was first
+ * checked off (the task's firstDoneAt or "task.completed" in the activity log,
+ * see lib/activity.js; its doneAt for history from before either), and
+ * unchecking it later doesn't take that back. Days are local calendar days; weeks start on Monday.
+ */
+import { toMillis } from "./importer";
+import { STAGES, derivedStage } from "./stages";
+import { weightedProgress } from "./tasks";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (ms) => { const d = new Date(ms); return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime(); };
+const addDays = (ms, n) => { const d = new Date(ms); return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n).getTime(); };
+export const startOfWeek = (ms) => addDays(startOfDay(ms), -((new Date(ms).getDay() + 6) % 7));
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+// first completion of every task: [{ projectId, taskId, at }] oldest first
+export function completionEvents(projects) {
+  const first = new Map();
+  const note = (projectId, taskId, at) => {
+    const key = `${projectId}:${taskId}`;
+    if (typeof at === "number" && !(first.get(key)?.at <= at)) first.set(key, { projectId, taskId, at });
+  };
+  for (const p of projects) {
+    for (const e of p.activity || []) if (e.type === "task.completed") note(p.id, e.taskId, e.at);
+    for (const t of p.tasks || []) {
+      note(p.id, t.id, toMillis(t.firstDoneAt));
+      if (t.done && !first.has(`${p.id}:${t.id}`)) note(p.id, t.id, toMillis(t.doneAt));
+    }
+  }
+  return [...first.values()].sort((a, b) => a.at - b.at);
+}
+
+// completions per week for the last `weeks` weeks: [{ start, count }] oldest first
+export function weeklyCounts(events, { weeks = 12, now = Date.now() } = {}) {
+  const first = addDays(startOfWeek(now), -7 * (weeks - 1));
+  const out = Array.from({ length: weeks }, (_, i) => ({ start: addDays(first, 7 * i), count: 0 }));
+  for (const e of events) {
+    const i = out.findIndex((w, j) => e.at >= w.start && (j === weeks - 1 || e.at < out[j + 1].start));
+    if (i >= 0) out[i].count++;
+  }
+  return out;
+}
+
+// completions per local day: Map(dayStartMs → count)
+export function dailyCounts(events) {
+  const days = new Map();
+  for (const e of events) { const d = startOfDay(e.at); days.set(d, (days.get(d) || 0) + 1); }
+  return days;
+}
+
+// heatmap columns (one per week, Monday first) for the last `weeks` weeks: [[{ day, count }]]
+export function heatmap(daily, { weeks = 26, now = Date.now() } = {}) {
+  const first = addDays(startOfWeek(now), -7 * (weeks - 1));
+  const today = startOfDay(now);
+  return Array.from({ length: weeks }, (_, w) =>
+    Array.from({ length: 7 }, (_, d) => addDays(first, 7 * w + d))
+      .filter(day => day <= today)
+      .map(day => ({ day, count: daily.get(day) || 0 })));
+}
+
+// consecutive days with a completion: current (ending today, or yesterday if today is still empty) and longest
+export function streaks(daily, now = Date.now()) {
+  const days = [...daily.keys()].sort((a, b) => a - b);
+  let longest = 0, run = 0, prev = null;
+  for (const d of days) {
+    run = prev != null && addDays(prev, 1) === d ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = d;
+  }
+  let current = 0;
+  let day = daily.has(startOfDay(now)) ? startOfDay(now) : addDays(startOfDay(now), -1);
+  while (daily.has(day)) { current++; day = addDays(day, -1); }
+  return { current, longest };
+}
+
+const createdAtOf = (p) => toMillis(p.createdAt) ?? (p.activity || []).find(e => e.type === "created")?.at ?? null;
+
+// days from creation until every (current) task had been completed, for projects that got there
+export function cycleTimes(projects, events) {
+  const at = new Map(events.map(e => [`${e.projectId}:${e.taskId}`, e.at]));
+  const out = [];
+  for (const p of projects) {
+    const start = createdAtOf(p);
+    const tasks = p.tasks || [];
+    if (start == null || !tasks.length || !tasks.every(t => at.has(`${p.id}:${t.id}`))) continue;
+    const end = Math.max(...tasks.map(t => at.get(`${p.id}:${t.id}`)));
+    out.push({ projectId: p.id, days: Math.max(0, (end - start) / DAY_MS) });
+  }
+  return out;
+}
+
+export const averageDays = (times) => mean(times.map(t => t.days));
+
+// average days spent in each pipeline stage before moving on, replaying the
+// task-derived stage (lib/stages.js) over the completion events:
+// { [stage]: { days, projects } } for every stage but "Released"
+export function stageDurations(projects, events) {
+  const spans = Object.fromEntries(STAGES.slice(0, -1).map(s => [s, []]));
+  for (const p of projects) {
+    const start = createdAtOf(p);
+    if (start == null) continue;
+    const mine = events.filter(e => e.projectId === p.id && e.at >= start);
+    const done = new Set();
+    const stageNow = () => derivedStage({ tasks: (p.tasks || []).map(t => ({ ...t, done: done.has(t.id) })) });
+    let stage = stageNow(), since = start;
+    for (const e of mine) {
+      done.add(e.taskId);
+      const next = stageNow();
+      if (next === stage) continue;
+      spans[stage]?.push((e.at - since) / DAY_MS);
+      stage = next; since = e.at;
+    }
+  }
+  return Object.fromEntries(Object.entries(spans).map(([s, xs]) => [s, { days: mean(xs), projects: xs.length }]));
+}
+
+// per value of `field` (type, label, group): [{ key, projects, completed, progress }] busiest first
+export function breakdown(projects, events, field) {
+  const rows = new Map();
+  const counts = new Map();
+  for (const e of events) counts.set(e.projectId, (counts.get(e.projectId) || 0) + 1);
+  for (const p of projects) {
+    const key = String(p[field] || "").trim() || "—";
+    const row = rows.get(key) || { key, projects: 0, completed: 0, progress: [] };
+    row.projects++;
+    row.completed += counts.get(p.id) || 0;
+    row.progress.push(weightedProgress(p.tasks));
+    rows.set(key, row);
+  }
+  return [...rows.values()]
+    .map(r => ({ ...r, progress: Math.round(mean(r.progress)) }))
+    .sort((a, b) => b.completed - a.completed || b.projects - a.projects || a.key.localeCompare(b.key));
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { completionEvents, dailyCounts, startOfWeek, streaks, weeklyCounts } from "./stats";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2025, 5, 18, 12).getTime(); // a Wednesday
+
+describe("completionEvents", () => {
+  it("keeps a completion that was later unchecked", () => {
+    const reopened = { id: "s", tasks: [{ id: "t", title: "Mix", done: false }], activity: [{ type: "task.completed", taskId: "t", at: NOW }, { type: "task.reopened", taskId: "t", at: NOW + 1 }] };
+    const events = completionEvents([reopened]);
+    expect(events).toEqual([{ projectId: "s", taskId: "t", at: NOW }]);
+    expect(streaks(dailyCounts(events), NOW).current).toBe(1);
+  });
+
+  it("counts the first completion only, falling back to doneAt", () => {
+    const p = { id: "p", tasks: [{ id: "a", done: true, doneAt: NOW }, { id: "b", done: true, doneAt: NOW }], activity: [{ type: "task.completed", taskId: "a", at: NOW - DAY_MS }, { type: "task.completed", taskId: "a", at: NOW }] };
+    expect(completionEvents([p]).map(e => [e.taskId, e.at])).toEqual([["a", NOW - DAY_MS], ["b", NOW]]);
+  });
+
+  it("reads first completions stamped on the task once the log has rotated them out", () => {
+    const p = { id: "p", tasks: [{ id: "a", done: false, firstDoneAt: NOW - DAY_MS }, { id: "b", done: true, doneAt: NOW, firstDoneAt: NOW - DAY_MS }], activity: [] };
+    expect(completionEvents([p]).map(e => [e.taskId, e.at])).toEqual([["a", NOW - DAY_MS], ["b", NOW - DAY_MS]]);
+  });
+});
+
+describe("weeklyCounts", () => {
+  it("buckets by Monday-started weeks", () => {
+    const monday = startOfWeek(NOW);
+    expect(new Date(monday).getDay()).toBe(1);
+    const weeks = weeklyCounts([{ at: monday }, { at: monday - 1 }], { weeks: 2, now: NOW });
+    expect(weeks.map(w => w.count)).toEqual([1, 1]);
+  });
+});
+
+describe("streaks", () => {
+  it("counts the current run up to yesterday and the longest run", () => {
+    const at = (d) => ({ at: NOW - d * DAY_MS });
+    const daily = dailyCounts([at(1), at(2), at(5), at(6), at(7)]);
+    expect(streaks(daily, NOW)).toEqual({ current: 2, longest: 3 });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * tasks.js
+ * Task helpers. A task may carry subtasks: [{ id, title, done }] (one level
+ * deep). A parent with subtasks is done exactly when all of them are, and
+ * counts toward project progress by the fraction of its subtasks that are
+ * done; a plain task counts 0 or 1.
+ *
+ * Tasks may also carry an effort estimate (points, null = unweighted). Progress
+ * and XP weigh each task by it; an unweighted task counts as 1 point, so boards
+ * without estimates behave exactly as before.
+ */
+
+// { done, total } of a task's subtasks (0/0 for a plain task)
+export function subtaskCount(t) {
+  const subs = t?.subtasks || [];
+  return { done: subs.filter(s => s.done).length, total: subs.length };
+}
+
+// 0…1 contribution of one task to its project's progress
+export function taskFraction(t) {
+  const { done, total } = subtaskCount(t);
+  return total ? done / total : t?.done ? 1 : 0;
+}
+
+// points a task is worth (effort estimate, default 1)
+export function taskWeight(t) {
+  return Number(t?.effort) > 0 ? Number(t.effort) : 1;
+}
+
+// 0–100 weighted by effort; 100 only when every task is actually done
+export function weightedProgress(tasks = []) {
+  const total = tasks.reduce((s, t) => s + taskWeight(t), 0);
+  if (!total) return 0;
+  const pct = Math.round(tasks.reduce((s, t) => s + taskWeight(t) * taskFraction(t), 0) * 100 / total);
+  return pct === 100 && !tasks.every(t => t.done) ? 99 : pct;
+}
+
+// keep a parent's done flag in line with its subtasks
+export function syncParent(t) {
+  const { done, total } = subtaskCount(t);
+  return total && t.done !== (done === total) ? { ...t, done: done === total } : t;
+}
+
+// checking a parent checks (or clears) all of its subtasks
+export function setTaskDone(t, done) {
+  return { ...t, done, ...(t.subtasks?.length ? { subtasks: t.subtasks.map(s => ({ ...s, done })) } : {}) };
+}
+
+export function toggleSubtask(t, sid) {
+  return syncParent({ ...t, subtasks: (t.subtasks || []).map(s => s.id === sid ? { ...s, done: !s.done } : s) });
+}
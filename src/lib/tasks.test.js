@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { setTaskDone, taskWeight, toggleSubtask, weightedProgress } from "./tasks";
+
+describe("taskWeight", () => {
+  it("is the effort estimate, or 1 without a usable one (XP is 10 per point)", () => {
+    expect(taskWeight({ done: true, effort: 5 })).toBe(5);
+    expect(taskWeight({ effort: "3" })).toBe(3);
+    expect([taskWeight({}), taskWeight({ effort: 0 }), taskWeight({ effort: "lots" }), taskWeight(null)]).toEqual([1, 1, 1, 1]);
+  });
+});
+
+describe("weightedProgress", () => {
+  it("counts done tasks", () => {
+    expect(weightedProgress([])).toBe(0);
+    expect(weightedProgress([{ done: true }, { done: false }, { done: true }, { done: false }])).toBe(50);
+  });
+
+  it("counts subtasks fractionally", () => {
+    expect(weightedProgress([{ done: false, subtasks: [{ done: true }, { done: false }] }, { done: true }])).toBe(75);
+  });
+
+  it("weighs tasks by effort", () => {
+    expect(weightedProgress([{ done: true, effort: 1 }, { done: false, effort: 3 }])).toBe(25);
+  });
+
+  it("only reaches 100 when everything is done", () => {
+    const tasks = [...Array(300)].map((_, i) => ({ done: i > 0 }));
+    expect(weightedProgress(tasks)).toBe(99);
+  });
+});
+
+describe("subtasks", () => {
+  it("keep the parent's done flag in line", () => {
+    const t = { id: "t", done: false, subtasks: [{ id: "s", done: false }] };
+    expect(toggleSubtask(t, "s").done).toBe(true);
+    expect(setTaskDone(t, true).subtasks[0].done).toBe(true);
+  });
+});
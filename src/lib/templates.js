@@ -0,0 +1,93 @@
+/**
+ * templates.js
+ * Workflow templates: a named, ordered task list plus the defaults a new
+ * project starts with. Stored per user (lib/collectionRepository.js); until a
+ * user saves, deletes or imports one, DEFAULT_TEMPLATES are offered. That first
+ * write copies the built-ins in and stores SEEDED, so deleting every template
+ * later leaves the list empty instead of bringing the built-ins back.
+ *
+ * Template shape: { id, name, tasks: [title], type, emoji, color, priority }
+ */
+
+const HEX = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+export const DEFAULT_TEMPLATES = [
+  { id: "builtin-song", name: "Song", type: "Single", emoji: "🎤", color: "#7c3aed", priority: 2, tasks: ["Draft", "Write lyrics", "Polish lyrics", "Record vocals", "Mix", "Master"] },
+  { id: "builtin-beat", name: "Beat", type: "Beat", emoji: "🥁", color: "#f97316", priority: 2, tasks: ["Drums", "Melody", "Bass", "Arrangement", "Mix", "Tag & export"] },
+  { id: "builtin-jingle", name: "Podcast jingle", type: "Jingle", emoji: "📻", color: "#06b6d4", priority: 1, tasks: ["Brief", "Sketch", "Voice-over", "Mix", "Deliver stems"] },
+];
+
+// marker doc stored alongside a user's templates once the built-ins were copied in
+export const SEEDED = { id: "_seeded", name: "", seeded: true };
+
+// stored docs → { templates, marked } (marked: SEEDED is among them)
+export function readTemplates(docs) {
+  return { templates: docs.filter(t => !t.seeded), marked: docs.some(t => t.seeded) };
+}
+
+// what the user picks from: the stored templates, or the built-ins before the first write
+// (stores from before SEEDED count as seeded once they hold any template)
+export const shownTemplates = ({ templates, marked }) => (marked || templates.length ? templates : DEFAULT_TEMPLATES);
+
+// docs to put for a write of `list` (dropping the ids in `drop`): before the first write, the
+// built-ins that aren't replaced or dropped, and SEEDED, go along with it
+export function seededWrites({ templates, marked }, list, drop = []) {
+  if (marked) return list;
+  const skip = new Set([...list.map(t => t.id), ...drop]);
+  return [...(templates.length ? [] : DEFAULT_TEMPLATES.filter(d => !skip.has(d.id))), ...list, SEEDED];
+}
+
+export function blankTemplate() {
+  return { id: crypto.randomUUID(), name: "New template", type: "", emoji: "🎧", color: "#7c3aed", priority: 2, tasks: [] };
+}
+
+// problems with one raw template ([] when usable)
+export function validateTemplate(t) {
+  if (!isObj(t)) return ["not an object"];
+  const errs = [];
+  if (typeof t.name !== "string" || !t.name.trim()) errs.push("needs a name");
+  if (t.tasks != null && !(Array.isArray(t.tasks) && t.tasks.every(x => typeof x === "string"))) errs.push("tasks must be a list of titles");
+  if (t.color != null && !HEX.test(t.color)) errs.push("color must be a hex string");
+  if (t.priority != null && !(Number.isInteger(t.priority) && t.priority >= 0 && t.priority <= 3)) errs.push("priority must be 0–3");
+  return errs;
+}
+
+// fill defaults; titles are trimmed and blanks dropped
+export function normalizeTemplate(t) {
+  const base = blankTemplate();
+  return {
+    id: typeof t.id === "string" && t.id ? t.id : base.id,
+    name: t.name.trim(),
+    type: typeof t.type === "string" ? t.type : base.type,
+    emoji: typeof t.emoji === "string" && t.emoji ? t.emoji : base.emoji,
+    color: HEX.test(t.color) ? t.color : base.color,
+    priority: Number.isInteger(t.priority) ? t.priority : base.priority,
+    tasks: (t.tasks || []).map(s => s.trim()).filter(Boolean),
+  };
+}
+
+// raw list (e.g. from an import file) → { templates, errors }
+export function parseTemplates(list) {
+  const templates = [], errors = [];
+  if (!Array.isArray(list)) return { templates, errors: list == null ? [] : ["templates must be an array"] };
+  list.forEach((t, i) => {
+    const errs = validateTemplate(t);
+    if (errs.length) errors.push(`Template ${i + 1}${isObj(t) && typeof t.name === "string" ? ` "${t.name}"` : ""}: ${errs.join("; ")}`);
+    else templates.push(normalizeTemplate(t));
+  });
+  return { templates, errors };
+}
+
+const newTask = (title) => ({ id: crypto.randomUUID(), title, done: false, dueDate: null, effort: null, subtasks: [] });
+
+// fields for a project created from a template
+export function projectFromTemplate(t) {
+  return { name: t.name, type: t.type, emoji: t.emoji, color: t.color, priority: t.priority, tasks: t.tasks.map(newTask) };
+}
+
+// append the template's tasks that the list doesn't have yet (same title, case-insensitive)
+export function applyTemplate(tasks, t) {
+  const have = new Set(tasks.map(x => x.title.toLowerCase()));
+  return [...tasks, ...t.tasks.filter(title => !have.has(title.toLowerCase())).map(newTask)];
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_TEMPLATES, SEEDED, applyTemplate, parseTemplates, projectFromTemplate, readTemplates, seededWrites, shownTemplates } from "./templates";
+
+const mine = { id: "t1", name: "Remix", type: "Remix", emoji: "🎛️", color: "#000000", priority: 1, tasks: ["Stems", "Mix"] };
+const ids = (list) => list.map(t => t.id);
+
+describe("parseTemplates", () => {
+  it("normalizes valid templates and reports each rejected one", () => {
+    const { templates, errors } = parseTemplates([{ name: " Beat ", tasks: [" Drums ", ""] }, { name: "Bad", tasks: [1], color: "red" }, 5]);
+    expect(templates).toEqual([expect.objectContaining({ name: "Beat", tasks: ["Drums"], color: "#7c3aed", priority: 2 })]);
+    expect(errors).toEqual(['Template 2 "Bad": tasks must be a list of titles; color must be a hex string', "Template 3: not an object"]);
+  });
+
+  it("accepts a missing list and rejects anything but an array", () => {
+    expect(parseTemplates(undefined)).toEqual({ templates: [], errors: [] });
+    expect(parseTemplates({}).errors).toEqual(["templates must be an array"]);
+  });
+});
+
+describe("projectFromTemplate / applyTemplate", () => {
+  it("creates fresh undone tasks from the titles", () => {
+    const p = projectFromTemplate(mine);
+    expect(p.tasks.map(t => [t.title, t.done])).toEqual([["Stems", false], ["Mix", false]]);
+    expect(new Set(p.tasks.map(t => t.id)).size).toBe(2);
+  });
+
+  it("appends only the titles the list doesn't have yet", () => {
+    const tasks = applyTemplate([{ id: "a", title: "mix", done: true }], mine);
+    expect(tasks.map(t => t.title)).toEqual(["mix", "Stems"]);
+  });
+});
+
+describe("seeding the built-ins", () => {
+  it("offers the built-ins until the first write", () => {
+    expect(shownTemplates(readTemplates([]))).toBe(DEFAULT_TEMPLATES);
+    expect(shownTemplates(readTemplates([SEEDED]))).toEqual([]);
+    expect(shownTemplates(readTemplates([mine]))).toEqual([mine]); // stored before SEEDED existed
+  });
+
+  it("copies the built-ins and the marker in with the first save or delete", () => {
+    expect(ids(seededWrites(readTemplates([]), [mine]))).toEqual([...ids(DEFAULT_TEMPLATES), "t1", SEEDED.id]);
+    expect(ids(seededWrites(readTemplates([]), [], ["builtin-beat"]))).toEqual(["builtin-song", "builtin-jingle", SEEDED.id]);
+    expect(ids(seededWrites(readTemplates([mine]), [], ["t1"]))).toEqual([SEEDED.id]);
+  });
+
+  it("writes just the list once seeded", () => {
+    expect(seededWrites(readTemplates([SEEDED, mine]), [mine])).toEqual([mine]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * timeline.js
+ * Geometry for the timeline view: each project spans from its creation to its
+ * release date (or, without one, to its last task due date / today, drawn as
+ * open-ended), with task due dates as milestones. Positions are fractions
+ * 0…1 of the visible range so the component only has to multiply by a width.
+ */
+import { dateToMs } from "./dates";
+import { toMillis } from "./importer";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { start, end, open, milestones: [{ id, at, title, done }], release } in ms
+export function projectSpan(p, now = Date.now()) {
+  const milestones = (p.tasks || []).filter(t => t.dueDate).map(t => ({ id: t.id, at: dateToMs(t.dueDate), title: t.title, done: t.done }));
+  const release = dateToMs(p.releaseDate);
+  const taskStarts = (p.tasks || []).map(t => toMillis(t.createdAt)).filter(v => v != null);
+  const start = toMillis(p.createdAt) ?? (taskStarts.length ? Math.min(...taskStarts) : now);
+  const end = release ?? Math.max(now, ...milestones.map(m => m.at));
+  return { start: Math.min(start, end), end, open: release == null, milestones, release };
+}
+
+// visible range over all spans plus today, padded by a week on both sides
+export function timelineRange(spans, now = Date.now()) {
+  const points = [now, ...spans.flatMap(s => [s.start, s.end, ...s.milestones.map(m => m.at)])];
+  return { start: Math.min(...points) - 7 * DAY_MS, end: Math.max(...points) + 7 * DAY_MS };
+}
+
+export const fraction = (range, at) => (at - range.start) / Math.max(1, range.end - range.start);
+
+// first of every month inside the range: [{ at, label }]
+export function monthTicks(range) {
+  const ticks = [];
+  const d = new Date(range.start);
+  d.setDate(1); d.setHours(0, 0, 0, 0);
+  for (d.setMonth(d.getMonth() + 1); d.getTime() < range.end; d.setMonth(d.getMonth() + 1)) {
+    ticks.push({ at: d.getTime(), label: d.toLocaleDateString(undefined, { month: "short", year: d.getMonth() === 0 ? "numeric" : undefined }) });
+  }
+  return ticks;
+}
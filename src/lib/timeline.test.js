@@ -0,0 +1,24 @@
+import { describe, expect, it } from "vitest";
+import { fraction, projectSpan, timelineRange } from "./timeline";
+
+describe("projectSpan", () => {
+  it("runs from creation to the release, with due dates as milestones", () => {
+    const span = projectSpan({ createdAt: 0, releaseDate: "2025-03-01", tasks: [{ id: "m", title: "Mix", dueDate: "2025-02-01" }] }, 0);
+    expect(span.open).toBe(false);
+    expect(span.end).toBe(span.release);
+    expect(span.milestones[0].at).toBeLessThan(span.end);
+  });
+
+  it("stays open without any dates", () => {
+    expect(projectSpan({ tasks: [] }, 5).open).toBe(true);
+  });
+});
+
+describe("timelineRange", () => {
+  it("covers every span", () => {
+    const spans = [projectSpan({ createdAt: 0, releaseDate: "2025-03-01", tasks: [] }, 0)];
+    const range = timelineRange(spans, 0);
+    expect(fraction(range, spans[0].start)).toBeGreaterThanOrEqual(0);
+    expect(fraction(range, spans[0].end)).toBeLessThanOrEqual(1);
+  });
+});
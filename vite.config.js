@@ -1,7 +1,13 @@
+import process from 'node:process'
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // *.emulator.test.js need the Firestore emulator: npm run test:emulator
+    exclude: [...configDefaults.exclude, ...(process.env.FIRESTORE_EMULATOR_HOST ? [] : ['**/*.emulator.test.js'])],
+  },
 })